@@ -1,34 +1,31 @@
 const inquirer = require('inquirer').default;
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
-const sharp = require('sharp');
+const { parseCliArgs } = require('./lib/cli');
+const { validateBundleId, validateVersionCode, flavorToKeystoreAnswers, answersToConfig, promptMissing, loadFlavorAnswers } = require('./lib/flavor');
+const { applyConfigConstants, writeDartDefineFile } = require('./lib/dart-config');
+const { resetJournal, replaceInFile, escapeXmlAttribute } = require('./lib/rewrite');
+const { detectOldPackage, moveAndroidPackage } = require('./lib/android-package');
+const { updateGradleIds, updateGradleVersion, ensureReleaseSigning } = require('./lib/gradle');
+const { checkKeytoolInstalled, generateKeystoreFile, assertSignedWith, getKeystoreEntry, prepareKeystoreEntry, registerKeystoreEntry, installKeystore, readKeystoreInfo, resolveKeyProperties } = require('./lib/keystore');
+const { withScratchCopy } = require('./lib/dry-run');
+const { resolveIconSource } = require('./lib/icons');
+const { writeAndroidSplash } = require('./lib/splash');
+const { writeLauncherIcons, setManifestIcons, writePlayStoreIcon } = require('./lib/android-icons');
+const { runProcess, minutes } = require('./lib/process');
+const { resolveRelease, recordRelease } = require('./lib/versions');
+const { storeArtifacts, readPubspecVersion, releaseDir } = require('./lib/shippable');
+const { writeReleaseManifest } = require('./lib/release-manifest');
+const { verifyArtifactManifest } = require('./lib/android-manifest');
+const { resolveAndroidBuild, flutterBuildSteps, findBuildOutputs, splitVersionCode, findDebugInfoOutputs } = require('./lib/android-build');
 
 // Define the parent directory for sibling folders
 const parentDir = path.resolve(__dirname, '..');
 const outputDir = path.join(__dirname, 'shippable');
 
-// Keystore file name
-const keystoreFileName = 'my-release-key.jks';
-
-// Check if keytool is installed
-function checkKeytoolInstalled() {
-    return new Promise((resolve, reject) => {
-        exec('keytool -help', (error, stdout, stderr) => {
-            if (error) {
-                resolve(false); // keytool is not installed
-            } else {
-                resolve(true); // keytool is installed
-            }
-        });
-    });
-}
-
-// Prompt user for app settings and the Flutter app folder name
-async function promptUser() {
-    const currentTimestampInSeconds = Math.floor(Date.now() / 1000);  // Unix timestamp in seconds
-
-    const answers = await inquirer.prompt([
+// Prompt user for the app settings the flavor did not provide
+async function promptUser(initialAnswers = {}, interactive = true) {
+    const answers = await promptMissing([
         {
             type: 'list',
             name: 'buildMode',
@@ -38,63 +35,52 @@ async function promptUser() {
         },
         {
             name: 'flutterAppFolderName',
-            message: 'Enter the name or path of your Flutter app folder:',
-            default: 'prep'
+            message: 'Enter the name or path of your Flutter app folder:'
         },
         {
             name: 'bundleName',
             message: 'Enter the new bundle name (e.g., com.example.app):',
-            default: 'com.prepto.ccp',
-            validate: function (input) {
-                const bundleIdPattern = /^[a-zA-Z0-9]+(\.[a-zA-Z0-9]+)+$/;
-                if (!bundleIdPattern.test(input)) {
-                    return 'Invalid Bundle ID. A valid Bundle ID must consist of alphanumeric characters and dots, and should not start or end with a dot.';
-                }
-                return true;
-            }
+            validate: validateBundleId
         },
         {
             name: 'appName',
-            message: 'Enter the new app name:',
-            default: 'Canadian Citizenship Prep'
+            message: 'Enter the new app name:'
         },
         {
             name: 'offlineCategoryId',
             message: 'Enter the OFFLINE_CATEGORY_ID:',
-            default: '2'
+            when: (answers) => !answers.config  // The flavor declares its own constants
         },
         {
             name: 'apiUrl',
             message: 'Enter the API_URL:',
-            default: 'https://www.prepto.pro'
+            when: (answers) => !answers.config
         },
         {
             name: 'androidProductId',
             message: 'Enter the ANDROID_PRODUCT_ID:',
-            default: 'com.prepto.ccp.premium_access'
+            when: (answers) => !answers.config
         },
         {
             name: 'versionName',
             message: 'Enter the app version (e.g., 1.0.0):',
             default: '1.0.0',
-            when: (answers) => answers.buildMode === 'Release'  // Only ask in Release mode
-        },
-        {
-            name: 'versionCode',
-            message: 'Enter the app version code:',
-            default: currentTimestampInSeconds.toString(),  // Use Unix timestamp in seconds as default
-            validate: function (input) {
-                return !isNaN(parseInt(input)) || 'Version code must be a number.';
-            },
-            when: (answers) => answers.buildMode === 'Release'  // Only ask in Release mode
+            // Only ask in Release mode; --bump works it out from the ledger
+            when: (answers) => answers.buildMode === 'Release' && !answers.bump
         }
-    ]);
+    ], initialAnswers, interactive);
     return answers;
 }
 
 // Check and prepare the directory for copying the project
-async function prepareDirectory(folderPath) {
+async function prepareDirectory(folderPath, interactive = true) {
     if (await fs.pathExists(folderPath)) {
+        if (!interactive) {
+            await fs.remove(folderPath);
+            console.log(`Deleted existing directory: ${folderPath}`);
+            return;
+        }
+
         const { confirmDelete } = await inquirer.prompt({
             type: 'confirm',
             name: 'confirmDelete',
@@ -126,350 +112,321 @@ function convertBundleNameToFolderName(bundleName) {
 }
 
 // Create a copy of the project based on the bundle name
-async function copyProject(flutterAppFolderPath, bundleName) {
+async function copyProject(flutterAppFolderPath, bundleName, interactive = true) {
     const folderName = convertBundleNameToFolderName(bundleName);
     const appDir = path.join(outputDir, folderName);
 
-    await prepareDirectory(appDir); // Check and prepare the directory before copying
+    await prepareDirectory(appDir, interactive); // Check and prepare the directory before copying
 
     console.log(`Creating a copy of the project in folder "${folderName}"...`);
     await fs.copy(flutterAppFolderPath, appDir);
+    resetJournal();
     console.log('Project copy created.');
     return appDir;
 }
 
 // Update Android files and package structure
 function updateAndroidFiles(bundleName, appName, projectDir) {
-    const androidManifestPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'AndroidManifest.xml');
-    const buildGradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
-    const kotlinPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'kotlin');
-
-    // Only update the app label in AndroidManifest.xml
-    let androidManifest = fs.readFileSync(androidManifestPath, 'utf8');
-    androidManifest = androidManifest.replace(/android:label="[^"]+"/, `android:label="${appName}"`);
-    fs.writeFileSync(androidManifestPath, androidManifest, 'utf8');
-
-    // Update build.gradle (add namespace and update applicationId)
-    let buildGradle = fs.readFileSync(buildGradlePath, 'utf8');
-
-    // Replace the namespace
-    buildGradle = buildGradle.replace(
-        /namespace\s*=\s*["'][^"']+["']/,
-        `namespace = "${bundleName}"`
-    );
-
-    // Replace the applicationId
-    buildGradle = buildGradle.replace(
-        /applicationId\s*=\s*["'][^"']+["']/,
-        `applicationId = "${bundleName}"`
-    );
-
-    fs.writeFileSync(buildGradlePath, buildGradle, 'utf8');
+    const androidAppDir = path.join(projectDir, 'android', 'app');
+    const androidManifestPath = path.join(androidAppDir, 'src', 'main', 'AndroidManifest.xml');
 
-    // Move MainActivity file to the new package structure
-    const oldPackageName = "com.omix.prepto"; // Hardcoded old package name
-    const oldPackagePath = path.join(kotlinPath, ...oldPackageName.split('.'));
-    const packageParts = bundleName.split('.');
-    const newPackagePath = path.join(kotlinPath, ...packageParts);
+    // Detect the package before Gradle is rewritten
+    const oldPackageName = detectOldPackage(androidAppDir);
 
-    fs.ensureDirSync(newPackagePath);
+    // Only update the app label in AndroidManifest.xml
+    replaceInFile(androidManifestPath, [
+        { label: 'android:label', pattern: /android:label="[^"]+"/, replacement: () => `android:label="${escapeXmlAttribute(appName)}"` }
+    ]);
 
-    const mainActivityFile = fs.existsSync(path.join(oldPackagePath, 'MainActivity.kt')) ? 'MainActivity.kt' : 'MainActivity.java';
-    fs.moveSync(path.join(oldPackagePath, mainActivityFile), path.join(newPackagePath, mainActivityFile));
+    // Update build.gradle or build.gradle.kts (namespace and applicationId)
+    updateGradleIds(androidAppDir, bundleName);
 
-    const mainActivityPath = path.join(newPackagePath, mainActivityFile);
-    let mainActivityContent = fs.readFileSync(mainActivityPath, 'utf8');
-    mainActivityContent = mainActivityContent.replace(/package .+;/, `package ${bundleName};`);
-    fs.writeFileSync(mainActivityPath, mainActivityContent, 'utf8');
+    // Move the Kotlin/Java sources to the new package structure
+    moveAndroidPackage(androidAppDir, oldPackageName, bundleName);
 
     console.log(`Android files updated with namespace "${bundleName}" and app name "${appName}".`);
 }
 
 
 // Update environment variables or configuration files
-function updateConfigFiles(offlineCategoryId, apiUrl, androidProductId, projectDir) {
-    const configFilePath = path.join(projectDir, 'lib', 'config.dart');
-    let configContent = fs.readFileSync(configFilePath, 'utf8');
-    configContent = configContent.replace(/const int OFFLINE_CATEGORY_ID = [^;]*;/, `const int OFFLINE_CATEGORY_ID = ${offlineCategoryId};`);
-    configContent = configContent.replace(/const String API_URL = '[^']*';/, `const String API_URL = '${apiUrl}';`);
-    configContent = configContent.replace(/const String ANDROID_PRODUCT_ID = '[^']*';/, `const String ANDROID_PRODUCT_ID = '${androidProductId}';`);
-    fs.writeFileSync(configFilePath, configContent, 'utf8');
+// The flavor's config constants go to lib/config.dart or a generated file
+function updateConfigFiles(config, projectDir, flavor) {
+    applyConfigConstants(projectDir, config, { mode: flavor ? flavor.configMode : undefined, flavorName: flavor ? flavor.name : undefined });
 }
 
-// Update App Icons
-const updateAppIcon = async (projectDir) => {
-    const iconPath = path.join(__dirname, 'icon.png');
-    if (await fs.pathExists(iconPath)) {
-        console.log('Custom icon found. Updating app icons...');
-
-        // Define target sizes and directories for Android
-        const androidTargets = [
-            { size: 48, dir: 'mipmap-mdpi' },
-            { size: 72, dir: 'mipmap-hdpi' },
-            { size: 96, dir: 'mipmap-xhdpi' },
-            { size: 144, dir: 'mipmap-xxhdpi' },
-            { size: 192, dir: 'mipmap-xxxhdpi' }
-        ];
-
-        // Resize and copy icons for Android
-        await Promise.all(androidTargets.map(async target => {
-            const destPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'res', target.dir, 'ic_launcher.png');
-            await sharp(iconPath)
-                .resize(target.size, target.size) // Resize icon to the target size
-                .toFile(destPath); // Save resized icon
-        }));
-
-        console.log('Android app icons updated.');
-    } else {
-        console.log('No custom icon found. Using default Flutter app icon.');
+// Update App Icons: legacy, round and adaptive launcher icons, and the
+// manifest entries that point at them
+const updateAppIcon = async (projectDir, iconPath, adaptiveIcon = {}) => {
+    if (!iconPath) {
+        return;
     }
+    console.log('Updating app icons...');
+    const mainDir = path.join(projectDir, 'android', 'app', 'src', 'main');
+    const count = await writeLauncherIcons(path.join(mainDir, 'res'), iconPath, adaptiveIcon);
+    setManifestIcons(path.join(mainDir, 'AndroidManifest.xml'));
+    console.log(`Android app icons updated (${count} files, adaptive icon${adaptiveIcon.monochrome ? ' with a monochrome layer' : ''}).`);
 };
 
+// Generate the launch screen from the flavor's splash logo and colour
+async function updateSplashScreen(projectDir, splash) {
+    if (!splash) {
+        console.log('No splash settings in the flavor. Keeping the app\'s launch screen.');
+        return;
+    }
+    const count = await writeAndroidSplash(path.join(projectDir, 'android', 'app', 'src', 'main', 'res'), splash);
+    console.log(`Android launch screen updated (${count} files, background ${splash.background || 'white'}).`);
+}
+
 // Update pubspec.yaml with versionName and versionCode
 function updatePubspecVersion(versionName, versionCode, projectDir) {
     const pubspecPath = path.join(projectDir, 'pubspec.yaml');
-    let pubspecContent = fs.readFileSync(pubspecPath, 'utf8');
-
-    const versionRegex = /version:\s*([0-9.]+)\+([0-9]+)/;
-    pubspecContent = pubspecContent.replace(versionRegex, `version: ${versionName}+${versionCode}`);
-
-    fs.writeFileSync(pubspecPath, pubspecContent, 'utf8');
+    replaceInFile(pubspecPath, [
+        // The +build suffix is optional in pubspec.yaml
+        { label: 'version', pattern: /^version:[ \t]*[0-9.]+(\+[0-9]+)?/m, replacement: () => `version: ${versionName}+${versionCode}` }
+    ]);
     console.log(`Updated pubspec.yaml with version: ${versionName}+${versionCode}`);
 }
 
-// Generate the release keystore if it doesn't exist
-async function generateKeystore(projectDir) {
-    const defaultKeystorePath = path.join(__dirname, keystoreFileName);
-    const keystorePath = path.join(projectDir, 'android', keystoreFileName);
+// Install the bundle's release keystore from the registry, generating and
+// registering a new one on its first release
+async function generateKeystore(projectDir, bundleName, initialAnswers = {}, interactive = true) {
+    const existingEntry = getKeystoreEntry(bundleName);
+    if (existingEntry) {
+        console.log(`Keystore for ${bundleName} found in the registry. Skipping keystore generation.`);
+        installKeystore(existingEntry, projectDir);
+        return existingEntry.keystorePath;
+    }
 
-    const defaultKeyPropertiesPath = path.join(__dirname, 'key.properties');
-    const keyPropertiesPath = path.join(projectDir, 'android', 'key.properties');
+    console.log(`No keystore registered for ${bundleName}. Generating a new keystore...`);
+    const entry = prepareKeystoreEntry(bundleName);
 
-    if (await fs.pathExists(defaultKeystorePath)) {
-        console.log('Keystore already exists. Skipping keystore generation.');
-        fs.copyFile(defaultKeystorePath, keystorePath, (err) => {
-            if (err) {
-                console.error('Error copying the keystore file:', err);
-                return;
-            }
-            console.log('Keystore file copied successfully to:', keystorePath);
-        });
-        fs.copyFile(defaultKeyPropertiesPath, keyPropertiesPath, (err) => {
-            if (err) {
-                console.error('Error copying the key properties file:', err);
-                return;
+    const keystoreDetails = await promptMissing([
+        {
+            name: 'keyAlias',
+            message: 'Enter a key alias for your keystore:',
+            default: bundleName.split('.').pop()
+        },
+        {
+            type: 'password',
+            name: 'keyPassword',
+            message: 'Enter a password for your keystore (at least 6 characters):',
+            mask: '*',
+            validate: function (input) {
+                return input.length >= 6 || 'Password must be at least 6 characters long.';
             }
-            console.log('Key properties file copied successfully to:', keystorePath);
-        });
-    } else {
-        console.log('Keystore not found. Generating a new keystore...');
-
-        const keystoreDetails = await inquirer.prompt([
-            {
-                name: 'keyAlias',
-                message: 'Enter a key alias for your keystore:',
-                default: 'ccp'
-            },
-            {
-                type: 'password',
-                name: 'keyPassword',
-                message: 'Enter a password for your keystore (at least 6 characters):',
-                mask: '*',
-                validate: function (input) {
-                    return input.length >= 6 || 'Password must be at least 6 characters long.';
-                }
-            },
-            {
-                name: 'validity',
-                message: 'Enter the validity period (in days):',
-                default: '10000',
-                validate: function (input) {
-                    return !isNaN(parseInt(input)) || 'Please enter a valid number.';
-                }
-            },
-            {
-                name: 'name',
-                message: 'Enter your full name:',
-                default: 'Ardalan Malihi'
-            },
-            {
-                name: 'organizationUnit',
-                message: 'Enter your organizational unit:',
-                default: 'omix'
-            },
-            {
-                name: 'organization',
-                message: 'Enter your organization:',
-                default: 'omix'
-            },
-            {
-                name: 'city',
-                message: 'Enter your city or locality:',
-                default: 'Vancouver'
-            },
-            {
-                name: 'state',
-                message: 'Enter your state or province:',
-                default: 'BC'
-            },
-            {
-                name: 'countryCode',
-                message: 'Enter your country code (e.g., US):',
-                default: 'CA',
-                validate: function (input) {
-                    return input.length === 2 || 'Country code must be 2 characters.';
-                }
+        },
+        {
+            name: 'validity',
+            message: 'Enter the validity period (in days):',
+            default: '10000',
+            validate: validateVersionCode
+        },
+        {
+            name: 'name',
+            message: 'Enter your full name:'
+        },
+        {
+            name: 'organizationUnit',
+            message: 'Enter your organizational unit:'
+        },
+        {
+            name: 'organization',
+            message: 'Enter your organization:'
+        },
+        {
+            name: 'city',
+            message: 'Enter your city or locality:'
+        },
+        {
+            name: 'state',
+            message: 'Enter your state or province:'
+        },
+        {
+            name: 'countryCode',
+            message: 'Enter your country code (e.g., US):',
+            validate: function (input) {
+                return input.length === 2 || 'Country code must be 2 characters.';
             }
-        ]);
-
-        const keyPropertiesPath = path.join(projectDir, 'android', 'key.properties');
-
-        const keystoreConfig = `
-        storePassword=${keystoreDetails.keyPassword}
-        keyPassword=${keystoreDetails.keyPassword}
-        keyAlias=${keystoreDetails.keyAlias}
-        storeFile=../${keystoreFileName}
-        `;
-
-        fs.writeFileSync(keyPropertiesPath, keystoreConfig.trim(), 'utf8');
-
-        const keytoolCommand = `keytool -genkeypair -v -keystore "${defaultKeystorePath}" -alias "${keystoreDetails.keyAlias}" -keyalg RSA -keysize 2048 -validity ${keystoreDetails.validity} -storepass "${keystoreDetails.keyPassword}" -keypass "${keystoreDetails.keyPassword}" -dname "CN=${keystoreDetails.name}, OU=${keystoreDetails.organizationUnit}, O=${keystoreDetails.organization}, L=${keystoreDetails.city}, S=${keystoreDetails.state}, C=${keystoreDetails.countryCode}"`;
-
-        return new Promise((resolve, reject) => {
-            exec(keytoolCommand, (error, stdout, stderr) => {
-                if (error) {
-                    console.error(`Error generating keystore: ${stderr}`);
-                    reject(error);
-                } else {
-                    console.log('Keystore generated successfully.');
-                    fs.copyFile(defaultKeystorePath, keystorePath, (err) => {
-                        if (err) {
-                            console.error('Error copying the keystore file:', err);
-                            return;
-                        }
-                        console.log('Keystore file copied successfully to:', keystorePath);
-                    });
-                    resolve(defaultKeystorePath);
-                }
-            });
-        });
-    }
-}
-
-// Build the Flutter app for Android (APK and AAB)
-function buildApp(projectDir, buildMode) {
-    return new Promise((resolve, reject) => {
-        console.log(`Building Flutter app in ${buildMode} mode...`);
-        let buildCommand = '';
-
-        if (buildMode === 'Release') {
-            buildCommand = 'flutter build apk --release && flutter build appbundle --release';
-        } else {
-            buildCommand = 'flutter build apk --debug';
         }
+    ], initialAnswers, interactive);
 
-        const flutterBuildProcess = exec(buildCommand, { cwd: projectDir });
-
-        flutterBuildProcess.stdout.on('data', (data) => {
-            console.log(data.toString());
-        });
-
-        flutterBuildProcess.stderr.on('data', (data) => {
-            console.error(data.toString());
-        });
+    await generateKeystoreFile(entry.keystorePath, keystoreDetails);
 
-        flutterBuildProcess.on('close', (code) => {
-            if (code === 0) {
-                console.log('Flutter build completed successfully.');
-                resolve();
-            } else {
-                console.error('Flutter build process failed.');
-                reject(new Error('Flutter build process exited with errors.'));
-            }
-        });
-    });
+    const { keyAlias, keyPassword, validity, ...dname } = keystoreDetails;
+    const registeredEntry = registerKeystoreEntry(entry, { alias: keyAlias, password: keyPassword, validity: parseInt(validity), dname });
+    console.log(`Keystore registered for ${bundleName} in ${entry.dir}`);
+    installKeystore(registeredEntry, projectDir);
+    return registeredEntry.keystorePath;
 }
 
-// Copy build outputs (APK and AAB) to a separate "shippable" folder
-function copyToShippableFolder(projectDir, folderName, buildMode) {
-    console.log(`Preparing to copy build outputs to the shippable folder for "${folderName}"...`);
-
-    const shippableAppDir = path.join(outputDir, folderName);
-
-    // Ensure the shippable folder exists
-    fs.ensureDirSync(shippableAppDir);
+// Build the Flutter app for Android (APK and AAB) with the flavor's build
+// options, passing its defines file when there is one
+async function buildApp(projectDir, buildMode, buildSettings, { dartDefineFile = null, versionName, versionCode } = {}) {
+    console.log(`Building Flutter app in ${buildMode} mode...`);
+    const steps = flutterBuildSteps(buildMode, buildSettings, { dartDefineFile, versionName, versionCode });
+    // The working copy is reused between runs; split APKs and symbols of an
+    // earlier build must not end up in this release
+    fs.removeSync(path.join(projectDir, 'build', 'app', 'outputs'));
+    fs.removeSync(path.join(projectDir, 'build', 'symbols'));
+
+    for (const args of steps) {
+        await runProcess('flutter', args, { cwd: projectDir, timeout: minutes(30), label: `flutter ${args.slice(0, 2).join(' ')}` });
+    }
+    console.log('Flutter build completed successfully.');
+}
 
-    if (buildMode === 'Release') {
-        // Copy APK
-        const androidApkPath = path.join(projectDir, 'build', 'app', 'outputs', 'apk', 'release', 'app-release.apk');
-        console.log(`Checking Android APK at: ${androidApkPath}`);
-        if (fs.existsSync(androidApkPath)) {
-            fs.copyFileSync(androidApkPath, path.join(shippableAppDir, 'app-release.apk'));
-            console.log('Android APK copied to the shippable folder.');
-        } else {
-            console.error('Android APK not found!');
+// Open every APK and AAB that was built and check the package, label and
+// version in its manifest, and that a release is signed with the bundle's
+// upload key. A flutter build that succeeded after an edit silently missed
+// fails here. Split APKs carry their ABI's version code.
+async function verifyBuildOutputs(projectDir, buildMode, buildSettings, expected, signingKey) {
+    const outputs = findBuildOutputs(projectDir, buildMode, buildSettings).filter(output => fs.existsSync(output.source));
+    for (const { source, abi } of outputs) {
+        verifyArtifactManifest(source, { ...expected, versionCode: expected.versionCode && splitVersionCode(expected.versionCode, abi) });
+        if (signingKey) {
+            await assertSignedWith(source, signingKey.sha256);
         }
+    }
+}
 
-        // Copy AAB
-        const androidAabPath = path.join(projectDir, 'build', 'app', 'outputs', 'bundle', 'release', 'app-release.aab');
-        console.log(`Checking Android AAB at: ${androidAabPath}`);
-        if (fs.existsSync(androidAabPath)) {
-            fs.copyFileSync(androidAabPath, path.join(shippableAppDir, 'app-release.aab'));
-            console.log('Android AAB copied to the shippable folder.');
-        } else {
-            console.error('Android AAB not found!');
-        }
-    } else {
-        // Copy Debug APK
-        const androidApkPath = path.join(projectDir, 'build', 'app', 'outputs', 'apk', 'debug', 'app-debug.apk');
-        console.log(`Checking Android APK at: ${androidApkPath}`);
-        if (fs.existsSync(androidApkPath)) {
-            fs.copyFileSync(androidApkPath, path.join(shippableAppDir, 'app-debug.apk'));
-            console.log('Android APK copied to the shippable folder.');
-        } else {
-            console.error('Android APK not found!');
-        }
+// Copy build outputs (APKs, AAB, zipped symbols and mapping.txt) and, for a
+// Release, the Play Store icon to the release's folder under "shippable",
+// with a release-android.json describing them
+async function copyToShippableFolder(projectDir, buildMode, buildSettings, release, { iconPath, provenance }) {
+    console.log(`Preparing to copy build outputs to the shippable folder for "${release.bundleId}"...`);
+    const outputs = findBuildOutputs(projectDir, buildMode, buildSettings);
+    if (outputs.some(output => fs.existsSync(output.source))) {
+        outputs.push(...findDebugInfoOutputs(projectDir, buildMode, buildSettings));
+    }
+    const artifacts = storeArtifacts({ ...release, buildMode }, outputs);
+    if (artifacts.length === 0) {
+        return artifacts;
+    }
+
+    const dir = releaseDir(release.bundleId, release.versionName, release.buildNumber);
+    if (buildMode === 'Release' && iconPath) {
+        artifacts.push(await writePlayStoreIcon(iconPath, path.join(dir, 'ic_launcher-playstore.png')));
+        console.log('Play Store icon copied to the shippable folder.');
     }
+    await writeReleaseManifest(dir, { platform: 'android', ...release, buildMode, ...provenance, artifacts });
+    return artifacts;
 }
 
-// Main function to control the process
-async function main() {
-    const { buildMode, flutterAppFolderName, bundleName, appName, offlineCategoryId, apiUrl, androidProductId, versionName, versionCode } = await promptUser();
+// Alias and fingerprints of the bundle's release key, for release-android.json
+async function describeReleaseKey(bundleName) {
+    const entry = getKeystoreEntry(bundleName);
+    const { keystorePath, alias, password } = resolveKeyProperties(entry.propertiesPath);
+    const info = await readKeystoreInfo(keystorePath, alias, password);
+    return { alias: info.alias, sha1: info.sha1, sha256: info.sha256 };
+}
+
+// Run the whole Android release for one set of app settings
+// A dry run applies the edits to a scratch copy, prints them and builds nothing.
+async function releaseAndroid(settings, flavor = null, { interactive = true, dryRun = false } = {}) {
+    const startedAt = new Date();
+    const { buildMode, flutterAppFolderName, bundleName, appName } = settings;
+    const config = settings.config || answersToConfig(settings);
     const flutterAppFolderPath = resolveFlutterAppPath(flutterAppFolderName);
+    const buildSettings = resolveAndroidBuild((flavor && flavor.android && flavor.android.build) || {});
+    const { versionName, buildNumber: versionCode } = buildMode === 'Release'
+        ? resolveRelease(bundleName, 'android', { versionName: settings.versionName, buildNumber: settings.versionCode, bump: settings.bump })
+        : {};
+    const iconPath = resolveIconSource(flavor, flutterAppFolderPath);
 
-    try {
-        const projectDir = await copyProject(flutterAppFolderPath, bundleName);
-        await updateAppIcon(projectDir);
+    // Every edit to the copy of the app; a dry run stops after these
+    const applyEdits = async (projectDir) => {
+        await updateAppIcon(projectDir, iconPath, (flavor && flavor.android && flavor.android.adaptiveIcon) || {});
+        await updateSplashScreen(projectDir, flavor && flavor.splash);
 
         updateAndroidFiles(bundleName, appName, projectDir);
-        updateConfigFiles(offlineCategoryId, apiUrl, androidProductId, projectDir);
+        // In the dart-define mode the constants are passed to flutter build and
+        // the app's sources are left as they are
+        const dartDefineFile = flavor && flavor.configMode === 'dart-define'
+            ? writeDartDefineFile(projectDir, config)
+            : null;
+        if (!dartDefineFile) {
+            updateConfigFiles(config, projectDir, flavor);
+        }
 
         // Conditionally update the version in pubspec.yaml if in Release mode
         if (buildMode === 'Release') {
             console.log('Release mode selected. Updating app version...');
             updatePubspecVersion(versionName, versionCode, projectDir);
-
-            const isKeytoolInstalled = await checkKeytoolInstalled();
-            if (!isKeytoolInstalled) {
-                console.error('Error: keytool is not installed on your system.');
-                process.exit(1);
-            }
-
-            // Generate keystore if it doesn't exist
-            await generateKeystore(projectDir);
+            updateGradleVersion(path.join(projectDir, 'android', 'app'), versionName, versionCode);
+            ensureReleaseSigning(path.join(projectDir, 'android', 'app'));
         } else {
             console.log('Debug mode selected. Skipping version update.');
         }
+        return dartDefineFile;
+    };
+
+    if (dryRun) {
+        await withScratchCopy(flutterAppFolderPath, applyEdits);
+        return [];
+    }
+
+    const projectDir = await copyProject(flutterAppFolderPath, bundleName, interactive);
+    const dartDefineFile = await applyEdits(projectDir);
+
+    if (buildMode === 'Release') {
+        const isKeytoolInstalled = await checkKeytoolInstalled();
+        if (!isKeytoolInstalled) {
+            throw new Error('keytool is not installed on your system.');
+        }
+
+        // Generate keystore if this bundle has none yet
+        await generateKeystore(projectDir, bundleName, flavor ? flavorToKeystoreAnswers(flavor) : {}, interactive);
+    }
 
-        await buildApp(projectDir, buildMode);
+    await buildApp(projectDir, buildMode, buildSettings, { dartDefineFile, versionName, versionCode });
+    // Debug builds are signed with the SDK's debug key
+    const signingKey = buildMode === 'Release' ? await describeReleaseKey(bundleName) : null;
+    await verifyBuildOutputs(projectDir, buildMode, buildSettings, { packageName: bundleName, label: appName, versionCode, versionName }, signingKey);
+
+    // Debug builds are filed under the version in pubspec.yaml
+    const release = buildMode === 'Release'
+        ? { bundleId: bundleName, appName, versionName, buildNumber: versionCode }
+        : { bundleId: bundleName, appName, ...readPubspecVersion(projectDir) };
+    const artifacts = await copyToShippableFolder(projectDir, buildMode, buildSettings, release, {
+        iconPath,
+        provenance: {
+            flavor: flavor ? flavor.name : null,
+            config,
+            configMode: (flavor && flavor.configMode) || 'rewrite',
+            build: buildMode === 'Release' ? buildSettings : undefined,
+            sourceDir: flutterAppFolderPath,
+            signing: signingKey,
+            startedAt
+        }
+    });
+    if (buildMode === 'Release' && artifacts.length > 0) {
+        recordRelease(bundleName, 'android', { versionName, buildNumber: versionCode, flavor: flavor ? flavor.name : undefined, artifacts });
+    }
+    return artifacts;
+}
 
-        const folderName = convertBundleNameToFolderName(bundleName);
-        copyToShippableFolder(projectDir, folderName, buildMode);
+// Main function to control the process
+async function main() {
+    const { flavor: flavorName, interactive, dryRun, bump } = parseCliArgs();
+    const { flavor, answers: flavorAnswers } = loadFlavorAnswers(flavorName, 'android', interactive);
+    const settings = await promptUser(bump ? { ...flavorAnswers, bump } : flavorAnswers, interactive);
 
-        console.log('App is ready for deployment!');
+    try {
+        await releaseAndroid(settings, flavor, { interactive, dryRun });
+        if (!dryRun) {
+            console.log('App is ready for deployment!');
+        }
     } catch (error) {
         console.error('An error occurred:', error.message);
+        process.exitCode = 1;
     }
 }
 
-main();
+module.exports = { promptUser, releaseAndroid };
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
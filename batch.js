@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { validatePlatforms, loadFlavor, loadFlavorAnswers } = require('./lib/flavor');
+const { validateBump } = require('./lib/versions');
+const android = require('./android');
+const ios = require('./ios');
+
+// Release steps per platform; both run without prompts in a batch
+const platformReleases = {
+    android: (answers, flavor, options) => android.promptUser(answers, false).then(settings => android.releaseAndroid(settings, flavor, options)),
+    ios: (answers, flavor, options) => ios.promptUser(answers, false).then(settings => ios.releaseIOS(settings, flavor, options))
+};
+
+// Read the list of flavors from a batch manifest (JSON or YAML)
+function loadManifest(manifestPath) {
+    const content = fs.readFileSync(manifestPath, 'utf8');
+    const manifest = path.extname(manifestPath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+    const entries = Array.isArray(manifest) ? manifest : manifest && manifest.flavors;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`Manifest ${manifestPath} must list at least one flavor.`);
+    }
+    const invalid = entries.filter(entry => typeof entry !== 'string' || entry.trim() === '');
+    if (invalid.length > 0) {
+        throw new Error(`Manifest ${manifestPath} must list flavors as names or paths, not ${invalid.map(entry => JSON.stringify(entry)).join(', ')}.`);
+    }
+    const platforms = Array.isArray(manifest) ? undefined : manifest.platforms;
+    if (platforms !== undefined && validatePlatforms(platforms) !== true) {
+        throw new Error(`Manifest ${manifestPath} platforms: ${validatePlatforms(platforms)}`);
+    }
+
+    // Flavor paths in a manifest are relative to the manifest
+    const manifestDir = path.dirname(manifestPath);
+    return {
+        flavors: entries.map(entry => (entry.includes('/') ? path.resolve(manifestDir, entry) : entry)),
+        platforms
+    };
+}
+
+// Decide which platforms to build for a flavor
+function platformsFor(flavorName, requestedPlatforms) {
+    if (requestedPlatforms && requestedPlatforms.length > 0) {
+        return requestedPlatforms;
+    }
+    try {
+        const flavor = loadFlavor(flavorName);
+        return Array.isArray(flavor.platforms) && flavor.platforms.length > 0 ? flavor.platforms : ['android'];
+    } catch (error) {
+        // Let the release step report the broken flavor
+        return ['android'];
+    }
+}
+
+function formatDuration(milliseconds) {
+    const seconds = Math.round(milliseconds / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Print one row per flavor and platform, with one line per artifact
+function printSummary(results) {
+    const rows = [['Flavor', 'Platform', 'Result', 'Duration', 'Artifacts / error']];
+    for (const result of results) {
+        const details = result.error ? [result.error.split('\n')[0]] : result.artifacts;
+        const [first = '', ...rest] = details.length > 0 ? details : ['(no artifacts)'];
+        rows.push([result.flavor, result.platform, result.passed ? 'PASS' : 'FAIL', formatDuration(result.duration), first]);
+        rest.forEach(detail => rows.push(['', '', '', '', detail]));
+    }
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const line = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log('');
+    console.log(line(rows[0]));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.slice(1).forEach(row => console.log(line(row)));
+
+    const failed = results.filter(result => !result.passed).length;
+    console.log('');
+    console.log(`${results.length - failed} passed, ${failed} failed.`);
+}
+
+// Build every flavor in turn; a failing flavor does not stop the others
+async function runBatch(flavorNames, requestedPlatforms, dryRun = false, bump = undefined) {
+    const results = [];
+
+    for (const flavorName of flavorNames) {
+        for (const platform of platformsFor(flavorName, requestedPlatforms)) {
+            console.log(`\n=== ${flavorName} (${platform}) ===`);
+            const startedAt = Date.now();
+            const result = { flavor: flavorName, platform, passed: false, artifacts: [], duration: 0 };
+
+            try {
+                if (!platformReleases[platform]) {
+                    throw new Error(`Unknown platform "${platform}".`);
+                }
+                const { flavor, answers } = loadFlavorAnswers(flavorName, platform, false);
+                result.artifacts = await platformReleases[platform](bump ? { ...answers, bump } : answers, flavor, { interactive: false, dryRun });
+                if (result.artifacts.length === 0 && !dryRun) {
+                    throw new Error('Build finished but no artifacts were found.');
+                }
+                result.passed = true;
+            } catch (error) {
+                console.error(`${flavorName} (${platform}) failed: ${error.message}`);
+                result.error = error.message;
+            }
+
+            result.duration = Date.now() - startedAt;
+            results.push(result);
+        }
+    }
+
+    printSummary(results);
+    return results;
+}
+
+// Main function to control the process
+async function main() {
+    const { values, positionals } = parseArgs({
+        options: {
+            manifest: { type: 'string', short: 'm' },
+            platform: { type: 'string', short: 'p', multiple: true },
+            'dry-run': { type: 'boolean', default: false },
+            bump: { type: 'string' }
+        },
+        allowPositionals: true
+    });
+
+    let flavorNames = positionals;
+    let platforms = values.platform;
+    if (values.manifest) {
+        const manifest = loadManifest(path.resolve(values.manifest));
+        flavorNames = [...manifest.flavors, ...positionals];
+        platforms = platforms || manifest.platforms;
+    }
+
+    if (flavorNames.length === 0) {
+        throw new Error('Usage: node batch.js [--manifest batch.json] [--platform android|ios] [--dry-run] [--bump patch|minor|major] [flavor ...]');
+    }
+
+    if (values.bump !== undefined && validateBump(values.bump) !== true) {
+        throw new Error(`--bump: ${validateBump(values.bump)}`);
+    }
+
+    const results = await runBatch(flavorNames, platforms, values['dry-run'], values.bump);
+    if (results.some(result => !result.passed)) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { loadManifest, runBatch };
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
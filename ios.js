@@ -1,18 +1,32 @@
 const inquirer = require('inquirer').default;
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
-const sharp = require('sharp');
-
-// Define the output directory for shippable builds
+const { parseCliArgs } = require('./lib/cli');
+const { validateBundleId, answersToConfig, promptMissing, loadFlavorAnswers } = require('./lib/flavor');
+const { applyConfigConstants, writeDartDefineFile } = require('./lib/dart-config');
+const { resetJournal, replaceInFile } = require('./lib/rewrite');
+const { withScratchCopy } = require('./lib/dry-run');
+const { updatePlist } = require('./lib/plist');
+const { openProject, saveProject, findNativeTarget, targetConfigurations, setBuildSettings, removeFileReference } = require('./lib/pbxproj');
+const { validateTeamId, resolveSigningProfile, writeSigningXcconfig, applySigningToRunner, describeSigningProfile } = require('./lib/ios-signing');
+const { resolveIconSource } = require('./lib/icons');
+const { writeAppIconSet } = require('./lib/ios-icons');
+const { writeIOSSplash } = require('./lib/splash');
+const { archivePath, exportOptions, writeExportOptions, buildArgs, exportArchive, xcodebuildCommand } = require('./lib/ios-export');
+const { runProcess, minutes } = require('./lib/process');
+const { resolveRelease, recordRelease } = require('./lib/versions');
+const { storeArtifacts, readPubspecVersion, releaseDir } = require('./lib/shippable');
+const { writeReleaseManifest } = require('./lib/release-manifest');
+
+// Define the folder the app is copied to before it is built
 const outputDir = path.join(__dirname, 'shippable_ios');
 
 // Define the parent directory for sibling folders
 const parentDir = path.resolve(__dirname, '..');
 
-// Prompt user for iOS-specific settings
-async function promptUser() {
-    const answers = await inquirer.prompt([
+// Prompt user for the iOS settings the flavor did not provide
+async function promptUser(initialAnswers = {}, interactive = true) {
+    const answers = await promptMissing([
         {
             type: 'list',
             name: 'buildMode',
@@ -22,45 +36,45 @@ async function promptUser() {
         },
         {
             name: 'flutterAppFolderName',
-            message: 'Enter the name or path of your Flutter app folder:',
-            default: 'prep'
+            message: 'Enter the name or path of your Flutter app folder:'
         },
         {
             name: 'bundleName',
             message: 'Enter the new bundle identifier (e.g., com.example.app):',
-            default: 'com.prepto.ccp',
-            validate: function (input) {
-                const bundleIdPattern = /^[a-zA-Z0-9]+(\.[a-zA-Z0-9]+)+$/;
-                return bundleIdPattern.test(input) || 'Invalid Bundle ID.';
-            }
+            validate: validateBundleId
         },
         {
             name: 'appName',
-            message: 'Enter the new app name:',
-            default: 'Canadian Citizenship Prep'
+            message: 'Enter the new app name:'
         },
         {
             name: 'offlineCategoryId',
             message: 'Enter the OFFLINE_CATEGORY_ID:',
-            default: '2'
+            when: (answers) => !answers.config  // The flavor declares its own constants
         },
         {
             name: 'apiUrl',
             message: 'Enter the API_URL:',
-            default: 'https://www.prepto.pro'
+            when: (answers) => !answers.config
         },
         {
             name: 'deploymentTarget',
             message: 'Enter the iOS deployment target (e.g., 12.0):',
             default: '12.0'
         },
+        {
+            name: 'teamId',
+            message: 'Enter your Apple Development Team ID:',
+            validate: validateTeamId
+        },
         {
             name: 'versionName',
             message: 'Enter the app version (e.g., 1.0.0):',
             default: '1.0.0',
-            when: (answers) => answers.buildMode === 'Release'  // Only ask in Release mode
+            // Only ask in Release mode; --bump works it out from the ledger
+            when: (answers) => answers.buildMode === 'Release' && !answers.bump
         }
-    ]);
+    ], initialAnswers, interactive);
     return answers;
 }
 
@@ -79,21 +93,28 @@ function convertBundleNameToFolderName(bundleName) {
 }
 
 // Create a copy of the project based on the bundle name
-async function copyProject(flutterAppFolderPath, bundleName) {
+async function copyProject(flutterAppFolderPath, bundleName, interactive = true) {
     const folderName = convertBundleNameToFolderName(bundleName);
     const appDir = path.join(outputDir, folderName);
 
-    await prepareDirectory(appDir); // Check and prepare the directory before copying
+    await prepareDirectory(appDir, interactive); // Check and prepare the directory before copying
 
     console.log(`Creating a copy of the project in folder "${folderName}"...`);
     await fs.copy(flutterAppFolderPath, appDir);
+    resetJournal();
     console.log('Project copy created.');
     return appDir;
 }
 
 // Check and prepare the directory for copying the project
-async function prepareDirectory(folderPath) {
+async function prepareDirectory(folderPath, interactive = true) {
     if (await fs.pathExists(folderPath)) {
+        if (!interactive) {
+            await fs.remove(folderPath);
+            console.log(`Deleted existing directory: ${folderPath}`);
+            return;
+        }
+
         const { confirmDelete } = await inquirer.prompt({
             type: 'confirm',
             name: 'confirmDelete',
@@ -110,84 +131,111 @@ async function prepareDirectory(folderPath) {
     }
 }
 
-// Function to update iOS files and setup xcconfig for automated signing
-function updateIOSFilesAndSetupSigning(bundleName, appName, projectDir, deploymentTarget) {
-    const infoPlistPath = path.join(projectDir, 'ios', 'Runner', 'Info.plist');
-    const xcconfigPath = path.join(projectDir, 'ios', 'config', 'build.xcconfig');
+// Function to update iOS files and apply the signing profile through the
+// xcconfig and the Runner target
+function updateIOSFilesAndSetupSigning(bundleName, projectDir, deploymentTarget, versionName, buildNumber, signingProfile) {
     const podfilePath = path.join(projectDir, 'ios', 'Podfile');
     const xcodeprojPath = path.join(projectDir, 'ios', 'Runner.xcodeproj', 'project.pbxproj');
 
-    let infoPlistContent = fs.readFileSync(infoPlistPath, 'utf8');
-    infoPlistContent = infoPlistContent.replace(/<key>CFBundleIdentifier<\/key>\s*<string>[^<]+<\/string>/, `<key>CFBundleIdentifier<\/key><string>${bundleName}<\/string>`);
-    infoPlistContent = infoPlistContent.replace(/<key>CFBundleName<\/key>\s*<string>[^<]+<\/string>/, `<key>CFBundleName<\/key><string>${appName}<\/string>`);
-    fs.writeFileSync(infoPlistPath, infoPlistContent, 'utf8');
-
-    const xcconfigContent = `
-CODE_SIGN_STYLE = Automatic
-DEVELOPMENT_TEAM = ZBWAG62J88
-CODE_SIGN_IDENTITY = iPhone Developer
-    `;
-    fs.ensureDirSync(path.dirname(xcconfigPath));
-    fs.writeFileSync(xcconfigPath, xcconfigContent.trim(), 'utf8');
+    writeSigningXcconfig(projectDir, signingProfile);
 
     if (fs.existsSync(podfilePath)) {
-        let podfileContent = fs.readFileSync(podfilePath, 'utf8');
-        podfileContent = podfileContent.replace(/platform :ios, '[^']*'/, `platform :ios, '${deploymentTarget}'`);
-        fs.writeFileSync(podfilePath, podfileContent, 'utf8');
+        replaceInFile(podfilePath, [
+            { label: 'platform :ios', pattern: /platform :ios, '[^']*'/, replacement: () => `platform :ios, '${deploymentTarget}'` }
+        ]);
         console.log(`Updated Podfile with iOS deployment target: ${deploymentTarget}`);
     }
 
     if (fs.existsSync(xcodeprojPath)) {
-        let xcodeprojContent = fs.readFileSync(xcodeprojPath, 'utf8');
-        xcodeprojContent = xcodeprojContent.replace(/DEVELOPMENT_TEAM = [A-Z0-9]+;/g, `DEVELOPMENT_TEAM = ZBWAG62J88;`);
-        xcodeprojContent = xcodeprojContent.replace(/CODE_SIGN_STYLE = [a-zA-Z]+;/g, `CODE_SIGN_STYLE = Automatic;`);
-        xcodeprojContent = xcodeprojContent.replace(/"CODE_SIGN_IDENTITY" = "[^"]*";/g, `"CODE_SIGN_IDENTITY" = "Apple Development";`);
-        xcodeprojContent = xcodeprojContent.replace(/\s*\*\/\*\sPrivacyInfo\.xcprivacy\s\*\//g, ''); // Remove PrivacyInfo.xcprivacy references
-        xcodeprojContent = xcodeprojContent.replace(/\s*\/\*\sPrivacyInfo\.xcprivacy\s\*\/;\s*\/\*\sPBXBuildFile\s\*\//g, ''); // Remove PrivacyInfo.xcprivacy PBXBuildFile references
-        fs.writeFileSync(xcodeprojPath, xcodeprojContent, 'utf8');
-        console.log('Updated Xcode project file with development team ID, code signing settings, and removed PrivacyInfo.xcprivacy references.');
+        const project = openProject(xcodeprojPath);
+        const runner = findNativeTarget(project, 'Runner');
+        const configurations = Object.values(targetConfigurations(project, runner));
+        setBuildSettings(project, configurations, {
+            PRODUCT_BUNDLE_IDENTIFIER: bundleName,
+            IPHONEOS_DEPLOYMENT_TARGET: deploymentTarget,
+            MARKETING_VERSION: versionName,
+            CURRENT_PROJECT_VERSION: buildNumber
+        }, {
+            // Flutter fills these from pubspec.yaml
+            keepVariables: ['MARKETING_VERSION', 'CURRENT_PROJECT_VERSION']
+        });
+        applySigningToRunner(project, signingProfile);
+
+        // The unit test target follows the app's bundle id
+        const tests = findNativeTarget(project, 'RunnerTests', { optional: true });
+        if (tests) {
+            setBuildSettings(project, Object.values(targetConfigurations(project, tests)), { PRODUCT_BUNDLE_IDENTIFIER: `${bundleName}.RunnerTests` });
+        }
+
+        removeFileReference(project, 'PrivacyInfo.xcprivacy');
+        saveProject(project);
+        console.log('Updated the Runner target in the Xcode project with bundle identifier, deployment target, version and code signing settings, and removed PrivacyInfo.xcprivacy references.');
     }
 
-    console.log('iOS Info.plist, signing configuration, Podfile, and Xcode project file updated.');
+    console.log(`iOS signing configuration, Podfile, and Xcode project file updated:\n${describeSigningProfile(signingProfile)}`);
 }
 
-// Function to update iOS app icons
-async function updateIOSAppIcons(flutterAppFolderPath, projectDir) {
-    const iconPath = path.join(flutterAppFolderPath, 'icon.png');
+// Set the app name, bundle id, version and the flavor's extra keys in
+// Info.plist. Values that come from build settings such as
+// $(PRODUCT_BUNDLE_IDENTIFIER) or $(FLUTTER_BUILD_NAME) are left in place;
+// the build settings and pubspec.yaml provide them.
+function updateInfoPlist(projectDir, { bundleName, appName, versionName, buildNumber, extraKeys = {} }) {
+    const infoPlistPath = path.join(projectDir, 'ios', 'Runner', 'Info.plist');
+    const results = updatePlist(infoPlistPath, {
+        CFBundleIdentifier: bundleName,
+        CFBundleDisplayName: appName,
+        CFBundleName: appName,
+        // App Store Connect only accepts versions as strings
+        CFBundleShortVersionString: versionName === undefined ? undefined : String(versionName),
+        CFBundleVersion: buildNumber === undefined ? undefined : String(buildNumber),
+        ...extraKeys
+    }, {
+        keepVariables: ['CFBundleIdentifier', 'CFBundleShortVersionString', 'CFBundleVersion']
+    });
+
+    for (const [key, result] of Object.entries(results)) {
+        console.log(`Info.plist ${key}: ${result}`);
+    }
+}
+
+// Function to update iOS app icons: the whole AppIcon set with its
+// Contents.json, flattened onto the flavor's background colour
+async function updateIOSAppIcons(projectDir, iconPath, background) {
+    if (!iconPath) {
+        return;
+    }
     const appIconSetPath = path.join(projectDir, 'ios', 'Runner', 'Assets.xcassets', 'AppIcon.appiconset');
-    const iosIconSizes = [
-        { size: 20, scales: [2, 3] }, // Notification
-        { size: 29, scales: [1, 2, 3] }, // Settings and Spotlight
-        { size: 40, scales: [2, 3] }, // Spotlight
-        { size: 60, scales: [2, 3] }  // App
-    ];
-
-    if (await fs.pathExists(iconPath)) {
-        console.log('Custom iOS icon found. Updating iOS app icons...');
-        await Promise.all(
-            iosIconSizes.flatMap(({ size, scales }) =>
-                scales.map(scale => {
-                    const dimension = size * scale;
-                    const iconName = `Icon-${dimension}.png`;
-                    return sharp(iconPath)
-                        .resize(dimension, dimension)
-                        .toFile(path.join(appIconSetPath, iconName));
-                })
-            )
-        );
-        console.log('iOS app icons updated.');
-    } else {
-        console.log('No custom iOS icon found. Using default Flutter app icon.');
+    console.log('Updating iOS app icons...');
+    const count = await writeAppIconSet(iconPath, appIconSetPath, background);
+    console.log(`iOS app icons updated (${count} images).`);
+}
+
+// Generate LaunchImage and the launch storyboard colour from the flavor's
+// splash logo and colour
+async function updateLaunchScreen(projectDir, splash) {
+    if (!splash) {
+        console.log('No splash settings in the flavor. Keeping the app\'s launch screen.');
+        return;
     }
+    const count = await writeIOSSplash(path.join(projectDir, 'ios', 'Runner'), splash);
+    console.log(`iOS launch screen updated (${count} files, background ${splash.background || 'white'}).`);
 }
 
 // Update environment variables or configuration files
-function updateConfigFiles(offlineCategoryId, apiUrl, projectDir) {
-    const configFilePath = path.join(projectDir, 'lib', 'config.dart');
-    let configContent = fs.readFileSync(configFilePath, 'utf8');
-    configContent = configContent.replace(/const int OFFLINE_CATEGORY_ID = [^;]*;/, `const int OFFLINE_CATEGORY_ID = ${offlineCategoryId};`);
-    configContent = configContent.replace(/const String API_URL = '[^']*';/, `const String API_URL = '${apiUrl}';`);
-    fs.writeFileSync(configFilePath, configContent, 'utf8');
+// The flavor's config constants go to lib/config.dart or a generated file
+function updateConfigFiles(config, projectDir, flavor) {
+    applyConfigConstants(projectDir, config, { mode: flavor ? flavor.configMode : undefined, flavorName: flavor ? flavor.name : undefined });
+}
+
+// Update pubspec.yaml with versionName and buildNumber, which Flutter turns
+// into FLUTTER_BUILD_NAME and FLUTTER_BUILD_NUMBER
+function updatePubspecVersion(versionName, buildNumber, projectDir) {
+    const pubspecPath = path.join(projectDir, 'pubspec.yaml');
+    replaceInFile(pubspecPath, [
+        // The +build suffix is optional in pubspec.yaml
+        { label: 'version', pattern: /^version:[ \t]*[0-9.]+(\+[0-9]+)?/m, replacement: () => `version: ${versionName}+${buildNumber}` }
+    ]);
+    console.log(`Updated pubspec.yaml with version: ${versionName}+${buildNumber}`);
 }
 
 // Remove installed package libraries
@@ -214,100 +262,161 @@ async function removePackages(projectDir) {
 // Run flutter pub get to install package dependencies
 async function runFlutterPubGet(projectDir) {
     console.log('Running flutter pub get to install package dependencies...');
-    return new Promise((resolve, reject) => {
-        const flutterGetProcess = exec('flutter pub get', { cwd: projectDir });
-
-        flutterGetProcess.stdout.on('data', (data) => console.log(data.toString()));
-        flutterGetProcess.stderr.on('data', (data) => console.error(data.toString()));
-        flutterGetProcess.on('close', (code) => {
-            if (code === 0) {
-                console.log('flutter pub get completed successfully.');
-                resolve();
-            } else {
-                console.error('flutter pub get failed.');
-                reject(new Error('flutter pub get process exited with errors.'));
-            }
-        });
-    });
+    await runProcess('flutter', ['pub', 'get'], { cwd: projectDir, timeout: minutes(10), label: 'flutter pub get' });
+    console.log('flutter pub get completed successfully.');
+}
+
+// xcodebuild does not take Dart defines, so let flutter write them into
+// ios/Flutter/Generated.xcconfig (DART_DEFINES) for the build to pick up
+async function configureFlutterBuild(projectDir, buildMode, dartDefineFile) {
+    console.log(`Passing ${dartDefineFile} to the iOS build...`);
+    const args = ['build', 'ios', '--config-only', ...(buildMode === 'Release' ? ['--release'] : ['--debug', '--simulator']), `--dart-define-from-file=${dartDefineFile}`];
+    await runProcess('flutter', args, { cwd: projectDir, timeout: minutes(10), label: 'flutter build ios --config-only' });
 }
 
 // Build the iOS app with xcodebuild
-function buildIOSApp(projectDir, buildMode) {
+async function buildIOSApp(projectDir, buildMode, signingProfile) {
     console.log(`Building iOS app in ${buildMode} mode...`);
-    return new Promise((resolve, reject) => {
-        let buildCommand = '';
-        if (buildMode === 'Release') {
-            buildCommand = 'xcodebuild -workspace ios/Runner.xcworkspace -scheme Runner -sdk iphoneos -configuration Release archive -archivePath ios/Runner.xcarchive -allowProvisioningUpdates';
-        } else {
-            buildCommand = 'xcodebuild -workspace ios/Runner.xcworkspace -scheme Runner -sdk iphonesimulator -configuration Debug';
-        }
+    await runProcess(xcodebuildCommand(), buildArgs(buildMode, signingProfile), { cwd: projectDir, timeout: minutes(60), label: 'xcodebuild' });
+    console.log('iOS build completed successfully.');
+}
 
-        const xcodeBuildProcess = exec(buildCommand, { cwd: projectDir });
-
-        xcodeBuildProcess.stdout.on('data', (data) => console.log(data.toString()));
-        xcodeBuildProcess.stderr.on('data', (data) => console.error(data.toString()));
-        xcodeBuildProcess.on('close', (code) => {
-            if (code === 0) {
-                console.log('iOS build completed successfully.');
-                resolve();
-            } else {
-                console.error('iOS build process failed.');
-                reject(new Error('iOS build process exited with errors.'));
-            }
-        });
-    });
+// Copy build outputs to the release's folder under "shippable", with a
+// release-ios.json describing them. A Release build ships the exported .ipa
+// next to its archive.
+async function copyToShippableFolder(projectDir, buildMode, release, { ipaPath, provenance }) {
+    console.log(`Preparing to copy build outputs to the shippable folder for "${release.bundleId}"...`);
+    const outputs = buildMode === 'Release'
+        ? [{ source: path.join(projectDir, archivePath), extension: '.xcarchive' }]
+        : [{ source: path.join(projectDir, 'build', 'ios', 'iphonesimulator', 'Runner.app'), extension: '.app' }];
+    if (ipaPath) {
+        outputs.unshift({ source: ipaPath, extension: '.ipa' });
+    }
+    const artifacts = storeArtifacts({ ...release, buildMode }, outputs);
+    if (artifacts.length > 0) {
+        await writeReleaseManifest(releaseDir(release.bundleId, release.versionName, release.buildNumber), { platform: 'ios', ...release, buildMode, ...provenance, artifacts });
+    }
+    return artifacts;
 }
 
-// Copy build outputs to a separate "shippable" folder
-function copyToShippableFolder(projectDir, buildMode) {
-    console.log(`Preparing to copy build outputs to the shippable folder...`);
-    const shippableAppDir = path.join(outputDir);
+// Run the whole iOS release for one set of app settings
+// A dry run applies the edits to a scratch copy, prints them and builds nothing.
+async function releaseIOS(settings, flavor = null, { interactive = true, dryRun = false } = {}) {
+    const startedAt = new Date();
+    const { buildMode, flutterAppFolderName, bundleName, appName, deploymentTarget, teamId } = settings;
+    const config = settings.config || answersToConfig(settings);
+    const flutterAppFolderPath = resolveFlutterAppPath(flutterAppFolderName);
+    const { versionName, buildNumber } = buildMode === 'Release'
+        ? resolveRelease(bundleName, 'ios', { versionName: settings.versionName, buildNumber: settings.versionCode, bump: settings.bump })
+        : {};
+    const iconPath = resolveIconSource(flavor, flutterAppFolderPath);
+    const signingProfile = resolveSigningProfile(flavor && flavor.ios && flavor.ios.signing, teamId);
+    const options = buildMode === 'Release'
+        ? exportOptions(bundleName, signingProfile, flavor && flavor.ios && flavor.ios.export)
+        : null;
+
+    // Every edit to the copy of the app; a dry run stops after these
+    const applyEdits = async (projectDir) => {
+        await updateIOSAppIcons(projectDir, iconPath, flavor && flavor.ios && flavor.ios.iconBackground);
+        await updateLaunchScreen(projectDir, flavor && flavor.splash);
+        updateInfoPlist(projectDir, {
+            bundleName,
+            appName,
+            versionName,
+            buildNumber,
+            extraKeys: flavor && flavor.ios && flavor.ios.infoPlist
+        });
+        updateIOSFilesAndSetupSigning(
+            bundleName,
+            projectDir,
+            deploymentTarget,
+            versionName,
+            buildNumber,
+            signingProfile
+        );
+        // In the dart-define mode the constants are passed to flutter build and
+        // the app's sources are left as they are
+        const dartDefineFile = flavor && flavor.configMode === 'dart-define'
+            ? writeDartDefineFile(projectDir, config)
+            : null;
+        if (!dartDefineFile) {
+            updateConfigFiles(config, projectDir, flavor);
+        }
 
-    // Ensure the shippable folder exists
-    fs.ensureDirSync(shippableAppDir);
+        // Conditionally update the version in pubspec.yaml if in Release mode
+        if (buildMode === 'Release') {
+            console.log('Release mode selected. Setting version...');
+            updatePubspecVersion(versionName, buildNumber, projectDir);
+            writeExportOptions(projectDir, options);
+        }
+        return dartDefineFile;
+    };
 
-    const buildOutputPath = buildMode === 'Release'
-        ? path.join(projectDir, 'ios', 'Runner.xcarchive')
-        : path.join(projectDir, 'build', 'ios', 'iphonesimulator', 'Runner.app');
+    if (dryRun) {
+        await withScratchCopy(flutterAppFolderPath, applyEdits);
+        return [];
+    }
 
-    if (fs.existsSync(buildOutputPath)) {
-        fs.copySync(buildOutputPath, path.join(shippableAppDir, buildMode === 'Release' ? 'Runner.xcarchive' : 'Runner.app'));
-        console.log('Build output copied to the shippable folder.');
-    } else {
-        console.error('Build output not found!');
+    const projectDir = await copyProject(flutterAppFolderPath, bundleName, interactive);
+    const dartDefineFile = await applyEdits(projectDir);
+
+    await removePackages(projectDir); // Remove installed packages
+    await runFlutterPubGet(projectDir); // Run flutter pub get
+    if (dartDefineFile) {
+        await configureFlutterBuild(projectDir, buildMode, dartDefineFile);
+    }
+
+    await buildIOSApp(projectDir, buildMode, signingProfile);
+    const ipaPath = options ? await exportArchive(projectDir, archivePath, options) : null;
+    // Debug builds are filed under the version in pubspec.yaml
+    const release = buildMode === 'Release'
+        ? { bundleId: bundleName, appName, versionName, buildNumber }
+        : { bundleId: bundleName, appName, ...readPubspecVersion(projectDir) };
+    const artifacts = await copyToShippableFolder(projectDir, buildMode, release, {
+        ipaPath,
+        provenance: {
+            flavor: flavor ? flavor.name : null,
+            config,
+            configMode: (flavor && flavor.configMode) || 'rewrite',
+            sourceDir: flutterAppFolderPath,
+            signing: {
+                teamId: signingProfile.teamId,
+                style: signingProfile.styles[buildMode],
+                identity: signingProfile.identities[buildMode],
+                provisioningProfile: signingProfile.profiles[buildMode] || null,
+                exportMethod: options ? options.method : null
+            },
+            startedAt
+        }
+    });
+    if (buildMode === 'Release' && artifacts.length > 0) {
+        recordRelease(bundleName, 'ios', { versionName, buildNumber, flavor: flavor ? flavor.name : undefined, artifacts });
     }
+    return artifacts;
 }
 
 // Main function to control the process
 async function main() {
-    const { buildMode, flutterAppFolderName, bundleName, appName, offlineCategoryId, apiUrl, deploymentTarget, versionName } = await promptUser();
-    const flutterAppFolderPath = resolveFlutterAppPath(flutterAppFolderName);
-    
-    try {
-        const projectDir = await copyProject(flutterAppFolderPath, bundleName);
-        await updateIOSAppIcons(flutterAppFolderPath, projectDir);
-        updateIOSFilesAndSetupSigning(bundleName, appName, projectDir, deploymentTarget);
-        updateConfigFiles(offlineCategoryId, apiUrl, projectDir);
-
-        await removePackages(projectDir); // Remove installed packages
-        await runFlutterPubGet(projectDir); // Run flutter pub get
+    const { flavor: flavorName, interactive, dryRun, bump } = parseCliArgs();
+    const { flavor, answers: flavorAnswers } = loadFlavorAnswers(flavorName, 'ios', interactive);
+    const settings = await promptUser(bump ? { ...flavorAnswers, bump } : flavorAnswers, interactive);
 
-        // Conditionally update the version in pubspec.yaml if in Release mode
-        if (buildMode === 'Release') {
-            console.log('Release mode selected. Setting version...');
-            const pubspecPath = path.join(projectDir, 'pubspec.yaml');
-            let pubspecContent = fs.readFileSync(pubspecPath, 'utf8');
-            pubspecContent = pubspecContent.replace(/version:\s*([0-9.]+)\+([0-9]+)/, `version: ${versionName}`);
-            fs.writeFileSync(pubspecPath, pubspecContent, 'utf8');
-            console.log(`Updated pubspec.yaml with version: ${versionName}`);
+    try {
+        await releaseIOS(settings, flavor, { interactive, dryRun });
+        if (!dryRun) {
+            console.log('iOS app is ready for deployment!');
         }
-
-        await buildIOSApp(projectDir, buildMode);
-        copyToShippableFolder(projectDir, buildMode);
-        console.log('iOS app is ready for deployment!');
     } catch (error) {
         console.error('An error occurred:', error.message);
+        process.exitCode = 1;
     }
 }
 
-main();
+module.exports = { promptUser, releaseIOS };
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
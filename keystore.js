@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    keystoreRegistryDir,
+    checkKeytoolInstalled,
+    readKeystoreInfo,
+    exportUploadCertificate,
+    resolveKeyProperties,
+    getKeystoreEntry,
+    listKeystoreEntries,
+    importKeystoreEntry,
+    exportKeystoreEntry,
+    backupKeystoreRegistry
+} = require('./lib/keystore');
+
+const usage = [
+    'Usage:',
+    '  node keystore.js list',
+    '  node keystore.js info <bundleId|key.properties> [certificate.pem]',
+    '  node keystore.js import <bundleId> <keystore.jks> <key.properties>',
+    '  node keystore.js export <bundleId> <destinationDir>',
+    '  node keystore.js backup <destinationDir>'
+].join('\n');
+
+// Print every registered bundle id with its alias and creation date
+function listEntries() {
+    const entries = listKeystoreEntries();
+    if (entries.length === 0) {
+        console.log(`No keystores registered in ${keystoreRegistryDir}.`);
+        return;
+    }
+    for (const entry of entries) {
+        const createdAt = entry.metadata.createdAt ? `  created ${entry.metadata.createdAt}` : '';
+        console.log(`${entry.bundleId}  alias "${entry.alias}"${createdAt}`);
+    }
+}
+
+// Days from now until a keytool date, or null when it cannot be parsed
+function daysUntil(date) {
+    const time = Date.parse(date);
+    return Number.isNaN(time) ? null : Math.floor((time - Date.now()) / (24 * 60 * 60 * 1000));
+}
+
+// Print alias, DN, validity and fingerprints of a registered bundle's key (or
+// of the keystore a key.properties file points at) and export its certificate
+async function printKeystoreInfo(target, pemPath) {
+    let propertiesPath = target;
+    if (!fs.existsSync(target)) {
+        const entry = getKeystoreEntry(target);
+        if (!entry) {
+            throw new Error(`No keystore registered for ${target} and no key.properties file at that path.`);
+        }
+        propertiesPath = entry.propertiesPath;
+    }
+    if (!(await checkKeytoolInstalled())) {
+        throw new Error('keytool is not installed. Please install Java JDK to continue.');
+    }
+
+    const { keystorePath, alias, password } = resolveKeyProperties(path.resolve(propertiesPath));
+    const info = await readKeystoreInfo(keystorePath, alias, password);
+    const daysLeft = daysUntil(info.validUntil);
+
+    console.log(`Keystore:      ${keystorePath}`);
+    console.log(`Alias:         ${info.alias}`);
+    console.log(`Owner:         ${info.owner}`);
+    console.log(`Issuer:        ${info.issuer}`);
+    console.log(`Serial number: ${info.serialNumber}`);
+    console.log(`Valid from:    ${info.validFrom}`);
+    console.log(`Valid until:   ${info.validUntil}${daysLeft === null ? '' : ` (${daysLeft < 0 ? 'EXPIRED' : `${daysLeft} days left`})`}`);
+    console.log(`SHA-1:         ${info.sha1}`);
+    console.log(`SHA-256:       ${info.sha256}`);
+
+    const certificatePath = path.resolve(pemPath || path.join(path.dirname(keystorePath), 'upload_certificate.pem'));
+    await exportUploadCertificate(keystorePath, alias, password, certificatePath);
+    console.log(`Upload certificate written to ${certificatePath}`);
+}
+
+// Subcommands and the range of arguments each one takes
+const commands = {
+    list: [0, 0, listEntries],
+    info: [1, 2, printKeystoreInfo],
+    import: [3, 3, (bundleId, keystorePath, propertiesPath) => {
+        const entry = importKeystoreEntry(bundleId, path.resolve(keystorePath), path.resolve(propertiesPath));
+        console.log(`Imported the keystore of ${bundleId} (alias "${entry.alias}") into ${entry.dir}`);
+    }],
+    export: [2, 2, (bundleId, destinationDir) => {
+        console.log(`Exported the keystore of ${bundleId} to ${exportKeystoreEntry(bundleId, destinationDir)}`);
+    }],
+    backup: [1, 1, (destinationDir) => {
+        console.log(`Backed up the keystore registry to ${backupKeystoreRegistry(destinationDir)}`);
+    }]
+};
+
+// Main function to control the process
+async function main() {
+    const { positionals } = parseArgs({ allowPositionals: true });
+    const [commandName, ...args] = positionals;
+    const command = commands[commandName];
+
+    if (!command || args.length < command[0] || args.length > command[1]) {
+        throw new Error(usage);
+    }
+    await command[2](...args);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { commands };
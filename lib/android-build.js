@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeZip } = require('./zip');
+
+// Release options of `flutter build apk` / `flutter build appbundle`, set in
+// android.build of a flavor
+const targetPlatforms = ['android-arm', 'android-arm64', 'android-x86', 'android-x64'];
+
+// Flutter raises the version code of each split APK by 1000 times the ABI's
+// number, so every ABI can be uploaded for the same release
+const abiVersionCodes = { 'armeabi-v7a': 1, 'arm64-v8a': 2, x86: 3, x86_64: 4 };
+
+// Where --split-debug-info writes the Dart symbols, relative to the project
+const symbolsDir = path.join('build', 'symbols');
+
+const booleanOptions = ['splitPerAbi', 'obfuscate', 'splitDebugInfo', 'versionFlags'];
+
+// Check the android.build section of a flavor
+function validateAndroidBuild(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'Must be an object.';
+    }
+    const problems = [];
+    for (const key of booleanOptions) {
+        if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+            problems.push(`${key}: Must be true or false.`);
+        }
+    }
+    if (settings.targetPlatforms !== undefined) {
+        const platforms = settings.targetPlatforms;
+        if (!Array.isArray(platforms) || platforms.length === 0 || platforms.some(platform => !targetPlatforms.includes(platform))) {
+            problems.push(`targetPlatforms: Must be a non-empty list of ${targetPlatforms.join(', ')}.`);
+        }
+    }
+    if (settings.obfuscate && settings.splitDebugInfo === false) {
+        problems.push('splitDebugInfo: Obfuscated builds need their debug info split off to read stack traces.');
+    }
+    const unknown = Object.keys(settings).filter(key => !booleanOptions.includes(key) && key !== 'targetPlatforms');
+    if (unknown.length > 0) {
+        problems.push(`Unknown option(s): ${unknown.join(', ')}.`);
+    }
+    return problems.length === 0 || problems.join(' ');
+}
+
+// The android.build section with its defaults. Obfuscation always splits the
+// debug info off.
+function resolveAndroidBuild(settings = {}) {
+    const result = validateAndroidBuild(settings);
+    if (result !== true) {
+        throw new Error(`Invalid Android build settings: ${result}`);
+    }
+    return {
+        splitPerAbi: Boolean(settings.splitPerAbi),
+        obfuscate: Boolean(settings.obfuscate),
+        splitDebugInfo: Boolean(settings.splitDebugInfo || settings.obfuscate),
+        targetPlatforms: settings.targetPlatforms || null,
+        versionFlags: Boolean(settings.versionFlags)
+    };
+}
+
+// Arguments of each flutter build step. The release options only apply to
+// Release builds; --split-per-abi only to the APK.
+function flutterBuildSteps(buildMode, settings, { dartDefineFile, versionName, versionCode } = {}) {
+    const defineArgs = dartDefineFile ? [`--dart-define-from-file=${dartDefineFile}`] : [];
+    if (buildMode !== 'Release') {
+        return [['build', 'apk', '--debug', ...defineArgs]];
+    }
+    const releaseArgs = [
+        ...(settings.targetPlatforms ? [`--target-platform=${settings.targetPlatforms.join(',')}`] : []),
+        ...(settings.obfuscate ? ['--obfuscate'] : []),
+        ...(settings.splitDebugInfo ? [`--split-debug-info=${symbolsDir}`] : []),
+        ...(settings.versionFlags ? [`--build-name=${versionName}`, `--build-number=${versionCode}`] : []),
+        ...defineArgs
+    ];
+    return [
+        ['build', 'apk', '--release', ...(settings.splitPerAbi ? ['--split-per-abi'] : []), ...releaseArgs],
+        ['build', 'appbundle', '--release', ...releaseArgs]
+    ];
+}
+
+// APKs and AAB a build produced, with the extension each is shipped under and,
+// for a split APK, its ABI
+function findBuildOutputs(projectDir, buildMode, settings) {
+    const outputsDir = path.join(projectDir, 'build', 'app', 'outputs');
+    if (buildMode !== 'Release') {
+        return [{ source: path.join(outputsDir, 'apk', 'debug', 'app-debug.apk'), extension: '.apk' }];
+    }
+    const bundle = { source: path.join(outputsDir, 'bundle', 'release', 'app-release.aab'), extension: '.aab' };
+    if (!settings.splitPerAbi) {
+        return [{ source: path.join(outputsDir, 'apk', 'release', 'app-release.apk'), extension: '.apk' }, bundle];
+    }
+    const apkDir = path.join(outputsDir, 'apk', 'release');
+    const splits = fs.existsSync(apkDir)
+        ? fs.readdirSync(apkDir).map(name => name.match(/^app-(.+)-release\.apk$/)).filter(Boolean).sort()
+        : [];
+    if (splits.length === 0) {
+        console.error(`No split APKs found in ${apkDir}!`);
+    }
+    return [
+        ...splits.map(([name, abi]) => ({ source: path.join(apkDir, name), extension: `-${abi}.apk`, abi })),
+        bundle
+    ];
+}
+
+// Version code Flutter gives the APK of one ABI
+function splitVersionCode(versionCode, abi) {
+    return abi && abiVersionCodes[abi] ? abiVersionCodes[abi] * 1000 + parseInt(versionCode, 10) : versionCode;
+}
+
+// Files below a folder, as sorted paths relative to it with / separators
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+        .flatMap(entry => {
+            const relativePath = path.posix.join(prefix, entry.name);
+            return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+        })
+        .sort();
+}
+
+// The Dart symbols zipped up and R8's mapping.txt, for reading the stack
+// traces of this exact build later. Only files that exist are returned.
+function findDebugInfoOutputs(projectDir, buildMode, settings) {
+    if (buildMode !== 'Release') {
+        return [];
+    }
+    const outputs = [];
+    const symbolsPath = path.join(projectDir, symbolsDir);
+    if (settings.splitDebugInfo && fs.existsSync(symbolsPath)) {
+        const files = listFiles(symbolsPath);
+        const zipPath = writeZip(path.join(projectDir, 'build', 'symbols.zip'), files.map(name => ({
+            name,
+            data: fs.readFileSync(path.join(symbolsPath, name))
+        })));
+        console.log(`Zipped ${files.length} symbol file(s) from ${symbolsDir}.`);
+        outputs.push({ source: zipPath, extension: '-symbols.zip' });
+    }
+    const mappingPath = path.join(projectDir, 'build', 'app', 'outputs', 'mapping', 'release', 'mapping.txt');
+    if (fs.existsSync(mappingPath)) {
+        outputs.push({ source: mappingPath, extension: '-mapping.txt' });
+    }
+    return outputs;
+}
+
+module.exports = {
+    targetPlatforms,
+    validateAndroidBuild,
+    resolveAndroidBuild,
+    flutterBuildSteps,
+    findBuildOutputs,
+    splitVersionCode,
+    findDebugInfoOutputs
+};
@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile, recordBinaryFile, replaceInFile } = require('./rewrite');
+const { validateColor, validateIconPath, loadIconSource, checkIconSource } = require('./icons');
+
+// Scale of each mipmap density relative to mdpi
+const densities = { mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+
+// Legacy icons are 48dp; adaptive layers are 108dp, of which the launcher
+// mask always shows the inner 72dp
+const legacySize = 48;
+const layerSize = 108;
+const safeZoneSize = 72;
+
+// The Play Store listing icon is 512x512, so the source has to be as large
+const playStoreIconSize = 512;
+const minimumLayerSize = layerSize * densities.xxxhdpi;
+
+// Background of the adaptive icon when the flavor does not set one
+const defaultBackground = '#ffffff';
+
+const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Check the android.adaptiveIcon section of a flavor. The background is a
+// colour or an image; the foreground and monochrome layers are images.
+function validateAdaptiveIcon(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'Must be an object.';
+    }
+    const problems = [];
+    for (const key of ['foreground', 'background', 'monochrome']) {
+        if (settings[key] === undefined || (key === 'background' && isColor(settings[key]))) {
+            continue;
+        }
+        const result = validateIconPath(settings[key]);
+        if (result !== true) {
+            problems.push(`${key}: ${result}${key === 'background' ? ' Or use a #RRGGBB colour.' : ''}`);
+        }
+    }
+    return problems.length === 0 || problems.join(' ');
+}
+
+function isColor(value) {
+    return validateColor(value) === true;
+}
+
+// Render one image per density into res/<folder>-<density>/<fileName>
+async function writeDensityImages(resDir, folder, fileName, size, render) {
+    await Promise.all(Object.entries(densities).map(([density, scale]) => {
+        const filePath = path.join(resDir, `${folder}-${density}`, fileName);
+        fs.ensureDirSync(path.dirname(filePath));
+        recordBinaryFile(filePath);
+        return render(Math.round(size * scale)).png().toFile(filePath);
+    }));
+    return Object.keys(densities).length;
+}
+
+function writeMipmaps(resDir, fileName, size, render) {
+    return writeDensityImages(resDir, 'mipmap', fileName, size, render);
+}
+
+// A full-bleed icon shrunk into the safe zone of a transparent layer
+function paddedLayer(icon, pixels) {
+    const inner = Math.round(pixels * safeZoneSize / layerSize);
+    const before = Math.floor((pixels - inner) / 2);
+    const after = pixels - inner - before;
+    return icon.image(inner)
+        .ensureAlpha()
+        .extend({ top: before, bottom: after, left: before, right: after, background: transparent });
+}
+
+function circleMask(pixels) {
+    const radius = pixels / 2;
+    return Buffer.from(`<svg width="${pixels}" height="${pixels}"><circle cx="${radius}" cy="${radius}" r="${radius}"/></svg>`);
+}
+
+function adaptiveIconXml({ background, monochrome }) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+        `    <background android:drawable="@${isColor(background) ? 'color' : 'mipmap'}/ic_launcher_background"/>`,
+        '    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>'
+    ];
+    if (monochrome) {
+        lines.push('    <monochrome android:drawable="@mipmap/ic_launcher_monochrome"/>');
+    }
+    lines.push('</adaptive-icon>', '');
+    return lines.join('\n');
+}
+
+// Write the legacy and round launcher icons for every density and the
+// adaptive icon (foreground, background and optional monochrome layer) used
+// from Android 8. Without a foreground image the icon itself is placed in
+// the safe zone. Returns the number of files written.
+async function writeLauncherIcons(resDir, iconPath, adaptiveIcon = {}) {
+    const result = validateAdaptiveIcon(adaptiveIcon);
+    if (result !== true) {
+        throw new Error(`Invalid Android adaptive icon settings: ${result}`);
+    }
+    const background = adaptiveIcon.background || defaultBackground;
+    const icon = await loadIconSource(iconPath);
+    checkIconSource(icon, playStoreIconSize);
+    const loadLayer = async (layerPath) => {
+        if (!layerPath) {
+            return null;
+        }
+        const layer = await loadIconSource(layerPath);
+        checkIconSource(layer, minimumLayerSize);
+        return layer;
+    };
+    const foreground = await loadLayer(adaptiveIcon.foreground);
+    const backgroundImage = await loadLayer(isColor(background) ? null : background);
+    const monochrome = await loadLayer(adaptiveIcon.monochrome);
+
+    let count = 0;
+    count += await writeMipmaps(resDir, 'ic_launcher.png', legacySize, pixels => icon.image(pixels));
+    count += await writeMipmaps(resDir, 'ic_launcher_round.png', legacySize, pixels => icon.image(pixels)
+        .composite([{ input: circleMask(pixels), blend: 'dest-in' }]));
+    count += await writeMipmaps(resDir, 'ic_launcher_foreground.png', layerSize, pixels => (foreground
+        ? foreground.image(pixels)
+        : paddedLayer(icon, pixels)));
+
+    if (!backgroundImage) {
+        writeTextFile(path.join(resDir, 'values', 'ic_launcher_background.xml'), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<resources>',
+            `    <color name="ic_launcher_background">${background.toUpperCase()}</color>`,
+            '</resources>',
+            ''
+        ].join('\n'));
+        count++;
+    } else {
+        count += await writeMipmaps(resDir, 'ic_launcher_background.png', layerSize, pixels => backgroundImage.image(pixels));
+    }
+    if (monochrome) {
+        count += await writeMipmaps(resDir, 'ic_launcher_monochrome.png', layerSize, pixels => monochrome.image(pixels));
+    }
+
+    const xml = adaptiveIconXml({ background, monochrome });
+    for (const fileName of ['ic_launcher.xml', 'ic_launcher_round.xml']) {
+        writeTextFile(path.join(resDir, 'mipmap-anydpi-v26', fileName), xml);
+        count++;
+    }
+    return count;
+}
+
+// Point the application's icon and roundIcon at the generated mipmaps
+function setManifestIcons(manifestPath) {
+    replaceInFile(manifestPath, [
+        { label: 'android:roundIcon', pattern: /\s+android:roundIcon="[^"]*"/, replacement: '', count: '?' },
+        {
+            label: 'android:icon',
+            pattern: /(\s+)android:icon="[^"]*"/,
+            replacement: '$1android:icon="@mipmap/ic_launcher"$1android:roundIcon="@mipmap/ic_launcher_round"'
+        }
+    ]);
+}
+
+// The 512x512 icon uploaded to the Play Store listing
+async function writePlayStoreIcon(iconPath, destinationPath) {
+    fs.ensureDirSync(path.dirname(destinationPath));
+    const icon = await loadIconSource(iconPath);
+    await icon.image(playStoreIconSize).png().toFile(destinationPath);
+    return destinationPath;
+}
+
+module.exports = { densities, writeDensityImages, validateAdaptiveIcon, writeLauncherIcons, setManifestIcons, writePlayStoreIcon };
@@ -0,0 +1,255 @@
+const path = require('path');
+const { readZipEntry } = require('./zip');
+
+// Read the AndroidManifest.xml packed into an APK (Android binary XML) or an
+// AAB (aapt2's protobuf XmlNode) and compare it with what was released
+
+const apkManifestEntry = 'AndroidManifest.xml';
+const aabManifestEntry = 'base/manifest/AndroidManifest.xml';
+
+// Resource ids of the android: attributes that are checked; aapt2 may strip
+// their names from a binary manifest, never their ids
+const androidAttributeIds = {
+    0x01010001: 'label',
+    0x0101021b: 'versionCode',
+    0x0101021c: 'versionName'
+};
+
+// Binary XML chunk types
+const stringPoolType = 0x0001;
+const resourceMapType = 0x0180;
+const startElementType = 0x0102;
+const endElementType = 0x0103;
+
+// Res_value data types
+const referenceDataType = 0x01;
+const stringDataType = 0x03;
+const booleanDataType = 0x12;
+const firstIntDataType = 0x10;
+const lastIntDataType = 0x1f;
+
+const utf8Flag = 0x100;
+const noIndex = 0xffffffff;
+
+// Length prefix of a pool string: one unit, or two with the high bit set
+function readLength(buffer, offset, utf8) {
+    if (utf8) {
+        const first = buffer[offset];
+        return first & 0x80 ? [((first & 0x7f) << 8) | buffer[offset + 1], 2] : [first, 1];
+    }
+    const first = buffer.readUInt16LE(offset);
+    return first & 0x8000 ? [((first & 0x7fff) << 16) | buffer.readUInt16LE(offset + 2), 4] : [first, 2];
+}
+
+function readStringPool(buffer, offset) {
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const stringCount = buffer.readUInt32LE(offset + 8);
+    const utf8 = (buffer.readUInt32LE(offset + 16) & utf8Flag) !== 0;
+    const stringsStart = offset + buffer.readUInt32LE(offset + 20);
+    const strings = [];
+    for (let i = 0; i < stringCount; i++) {
+        let position = stringsStart + buffer.readUInt32LE(offset + headerSize + i * 4);
+        if (utf8) {
+            // Length in characters, then in bytes
+            position += readLength(buffer, position, true)[1];
+            const [byteLength, size] = readLength(buffer, position, true);
+            position += size;
+            strings.push(buffer.toString('utf8', position, position + byteLength));
+        } else {
+            const [length, size] = readLength(buffer, position, false);
+            position += size;
+            strings.push(buffer.toString('utf16le', position, position + length * 2));
+        }
+    }
+    return strings;
+}
+
+// Value of an attribute: its raw string, a number or boolean, or
+// { reference } for a resource reference such as @string/app_name
+function attributeValue(strings, rawValue, dataType, data) {
+    if (rawValue !== noIndex) {
+        return strings[rawValue];
+    }
+    if (dataType === stringDataType) {
+        return strings[data];
+    }
+    if (dataType === referenceDataType) {
+        return { reference: `0x${data.toString(16).padStart(8, '0')}` };
+    }
+    if (dataType === booleanDataType) {
+        return data !== 0;
+    }
+    if (dataType >= firstIntDataType && dataType <= lastIntDataType) {
+        return data | 0;
+    }
+    return { type: dataType, data };
+}
+
+// Decode Android binary XML into { name, attributes, children } elements.
+// android: attributes are keyed by their local name.
+function decodeBinaryXml(buffer) {
+    let strings = [];
+    let resourceIds = [];
+    const root = { children: [] };
+    const stack = [root];
+
+    let offset = buffer.readUInt16LE(2);
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.readUInt16LE(offset);
+        const headerSize = buffer.readUInt16LE(offset + 2);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (size < 8) {
+            throw new Error('Damaged binary XML chunk.');
+        }
+        if (type === stringPoolType) {
+            strings = readStringPool(buffer, offset);
+        } else if (type === resourceMapType) {
+            resourceIds = Array.from({ length: (size - headerSize) / 4 }, (_, i) => buffer.readUInt32LE(offset + headerSize + i * 4));
+        } else if (type === startElementType) {
+            const extension = offset + headerSize;
+            const attributeStart = buffer.readUInt16LE(extension + 8);
+            const attributeSize = buffer.readUInt16LE(extension + 10);
+            const attributeCount = buffer.readUInt16LE(extension + 12);
+            const element = { name: strings[buffer.readUInt32LE(extension + 4)], attributes: {}, children: [] };
+            for (let i = 0; i < attributeCount; i++) {
+                const attribute = extension + attributeStart + i * attributeSize;
+                const nameIndex = buffer.readUInt32LE(attribute + 4);
+                const name = androidAttributeIds[resourceIds[nameIndex]] || strings[nameIndex];
+                element.attributes[name] = attributeValue(strings, buffer.readUInt32LE(attribute + 8), buffer[attribute + 15], buffer.readUInt32LE(attribute + 16));
+            }
+            stack[stack.length - 1].children.push(element);
+            stack.push(element);
+        } else if (type === endElementType) {
+            stack.pop();
+        }
+        offset += size;
+    }
+    return root.children[0] || null;
+}
+
+// Protocol buffer fields of a message as [number, wireType, value] triples;
+// length-delimited values stay Buffers
+function decodeProtoFields(buffer) {
+    const fields = [];
+    let offset = 0;
+    const readVarint = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = buffer[offset++];
+            result += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result;
+    };
+    while (offset < buffer.length) {
+        const key = readVarint();
+        const number = Math.floor(key / 8);
+        const wireType = key & 7;
+        if (wireType === 0) {
+            fields.push([number, wireType, readVarint()]);
+        } else if (wireType === 2) {
+            const length = readVarint();
+            fields.push([number, wireType, buffer.subarray(offset, offset + length)]);
+            offset += length;
+        } else if (wireType === 1 || wireType === 5) {
+            const length = wireType === 1 ? 8 : 4;
+            fields.push([number, wireType, buffer.subarray(offset, offset + length)]);
+            offset += length;
+        } else {
+            throw new Error(`Unsupported protocol buffer wire type ${wireType}.`);
+        }
+    }
+    return fields;
+}
+
+function protoField(fields, number) {
+    const field = fields.find(([fieldNumber]) => fieldNumber === number);
+    return field ? field[2] : undefined;
+}
+
+// Value of an aapt.pb.XmlAttribute: its source string, or the compiled
+// reference or integer when aapt2 kept none
+function protoAttributeValue(fields) {
+    const value = protoField(fields, 3);
+    if (value !== undefined) {
+        return value.toString('utf8');
+    }
+    const item = protoField(fields, 6) ? decodeProtoFields(protoField(fields, 6)) : [];
+    const reference = protoField(item, 1);
+    if (reference) {
+        return { reference: `0x${(protoField(decodeProtoFields(reference), 2) || 0).toString(16).padStart(8, '0')}` };
+    }
+    const primitive = protoField(item, 7) ? decodeProtoFields(protoField(item, 7)) : [];
+    const integer = protoField(primitive, 6);
+    return integer === undefined ? null : integer | 0;
+}
+
+// Decode an aapt.pb.XmlNode (the manifest of an AAB module) into the same
+// { name, attributes, children } shape as decodeBinaryXml
+function decodeProtoXml(buffer) {
+    const element = protoField(decodeProtoFields(buffer), 1);
+    if (!element) {
+        return null;
+    }
+    const fields = decodeProtoFields(element);
+    const result = { name: protoField(fields, 3).toString('utf8'), attributes: {}, children: [] };
+    for (const [number, , value] of fields) {
+        if (number === 4) {
+            const attribute = decodeProtoFields(value);
+            const name = androidAttributeIds[protoField(attribute, 5)] || String(protoField(attribute, 2) || '');
+            result.attributes[name] = protoAttributeValue(attribute);
+        } else if (number === 5) {
+            const child = decodeProtoXml(value);
+            if (child) {
+                result.children.push(child);
+            }
+        }
+    }
+    return result;
+}
+
+// Package, version and application label in the manifest of an APK or AAB
+function readArtifactManifest(artifactPath) {
+    const bundle = path.extname(artifactPath) === '.aab';
+    const entryName = bundle ? aabManifestEntry : apkManifestEntry;
+    const data = readZipEntry(artifactPath, entryName);
+    if (!data) {
+        throw new Error(`${artifactPath} has no ${entryName}.`);
+    }
+    const manifest = bundle ? decodeProtoXml(data) : decodeBinaryXml(data);
+    if (!manifest || manifest.name !== 'manifest') {
+        throw new Error(`Could not decode ${entryName} in ${artifactPath}.`);
+    }
+    const application = manifest.children.find(child => child.name === 'application') || { attributes: {} };
+    // A protobuf manifest keeps the version code as written, i.e. as a string
+    const { versionCode } = manifest.attributes;
+    return {
+        package: manifest.attributes.package,
+        versionCode: typeof versionCode === 'string' && /^\d+$/.test(versionCode) ? parseInt(versionCode, 10) : versionCode,
+        versionName: manifest.attributes.versionName,
+        label: application.attributes.label
+    };
+}
+
+function describeValue(value) {
+    return value !== null && typeof value === 'object' ? `resource ${value.reference || JSON.stringify(value)}` : JSON.stringify(value);
+}
+
+// Fail when the manifest of an APK or AAB does not have the package, label
+// and (when given) version it was built for
+function verifyArtifactManifest(artifactPath, { packageName, label, versionCode, versionName }) {
+    const manifest = readArtifactManifest(artifactPath);
+    const expected = { package: packageName, label, versionCode: versionCode === undefined ? undefined : parseInt(versionCode, 10), versionName };
+    const mismatches = Object.entries(expected)
+        .filter(([key, value]) => value !== undefined && manifest[key] !== value)
+        .map(([key, value]) => `${key} is ${describeValue(manifest[key])}, expected ${JSON.stringify(value)}`);
+    if (mismatches.length > 0) {
+        throw new Error(`The manifest of ${artifactPath} does not match the release:\n  ${mismatches.join('\n  ')}`);
+    }
+    console.log(`Verified the manifest of ${path.basename(artifactPath)}: ${manifest.package} "${manifest.label}" ${manifest.versionName || ''} (${manifest.versionCode}).`);
+    return manifest;
+}
+
+module.exports = { decodeBinaryXml, decodeProtoXml, readArtifactManifest, verifyArtifactManifest };
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { moveFile, replaceInFile } = require('./rewrite');
+const { findGradleProject } = require('./gradle');
+
+// Kotlin and Java sources of the app module
+const sourceRootNames = ['kotlin', 'java'];
+const sourceExtensions = ['.kt', '.java'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sourceRoots(androidAppDir) {
+    return sourceRootNames
+        .map(name => path.join(androidAppDir, 'src', 'main', name))
+        .filter(root => fs.existsSync(root));
+}
+
+// Every file below a directory
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    });
+}
+
+function packageDir(root, packageName) {
+    return path.join(root, ...packageName.split('.'));
+}
+
+// Read namespace / applicationId from the app's Gradle build file (either DSL)
+function readGradlePackages(androidAppDir) {
+    let buildFile;
+    try {
+        ({ buildFile } = findGradleProject(androidAppDir));
+    } catch (error) {
+        return [];
+    }
+    const content = fs.readFileSync(buildFile, 'utf8');
+    return ['namespace', 'applicationId']
+        .map(key => content.match(new RegExp(`\\b${key}\\s*=?\\s*["']([\\w.]+)["']`)))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+function readPackageLine(file) {
+    const match = fs.readFileSync(file, 'utf8').match(/^package\s+([\w.]+)/m);
+    return match ? match[1] : null;
+}
+
+// Find MainActivity and read the package it declares
+function findMainActivityPackage(androidAppDir) {
+    for (const root of sourceRoots(androidAppDir)) {
+        const mainActivity = listFiles(root).find(file => /^MainActivity\.(kt|java)$/.test(path.basename(file)));
+        if (mainActivity) {
+            const packageName = readPackageLine(mainActivity);
+            if (!packageName) {
+                throw new Error(`Could not detect the Android package: ${mainActivity} has no package line.`);
+            }
+            return packageName;
+        }
+    }
+    return null;
+}
+
+// Work out the package the source app was created with. Gradle's namespace
+// and applicationId are used when sources actually live in that package,
+// otherwise the package of MainActivity.
+function detectOldPackage(androidAppDir) {
+    const roots = sourceRoots(androidAppDir);
+    const fromGradle = readGradlePackages(androidAppDir)
+        .find(packageName => roots.some(root => fs.existsSync(packageDir(root, packageName))));
+    const oldPackage = fromGradle || findMainActivityPackage(androidAppDir);
+    if (!oldPackage) {
+        throw new Error(`Could not detect the Android package: no namespace/applicationId with matching sources and no MainActivity under ${androidAppDir}`);
+    }
+    return oldPackage;
+}
+
+// Remove empty directories below and including `dir`, then its emptied
+// parents up to (not including) `stopDir`
+function removeEmptyDirs(dir, stopDir) {
+    const prune = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                prune(path.join(current, entry.name));
+            }
+        }
+        if (fs.readdirSync(current).length === 0) {
+            fs.rmdirSync(current);
+        }
+    };
+    if (fs.existsSync(dir)) {
+        prune(dir);
+    }
+
+    let parent = path.dirname(dir);
+    while (parent.startsWith(stopDir + path.sep) && fs.existsSync(parent) && fs.readdirSync(parent).length === 0) {
+        fs.rmdirSync(parent);
+        parent = path.dirname(parent);
+    }
+}
+
+// Move every Kotlin/Java file of the old package (and its sub-packages) to the
+// new one, rewrite package lines and imports, and drop the emptied folders.
+function moveAndroidPackage(androidAppDir, oldPackage, newPackage) {
+    if (oldPackage === newPackage) {
+        console.log(`Android sources already use package "${newPackage}".`);
+        return;
+    }
+
+    const oldPattern = escapeRegExp(oldPackage);
+    const moved = new Set();
+
+    // When the new package is nested in the old one, its files are already in place
+    const roots = sourceRoots(androidAppDir).map(root => {
+        const oldDir = packageDir(root, oldPackage);
+        const newDir = packageDir(root, newPackage);
+        return { root, oldDir, newDir, files: listFiles(oldDir).filter(file => !file.startsWith(newDir + path.sep)) };
+    });
+    // Check every source before the first one is moved
+    const unpackaged = roots.flatMap(({ files }) => files)
+        .filter(file => sourceExtensions.includes(path.extname(file)) && !readPackageLine(file));
+    if (unpackaged.length > 0) {
+        throw new Error(`Cannot move the Android sources to "${newPackage}"; these have no package line:\n  ${unpackaged.join('\n  ')}`);
+    }
+
+    for (const { root, oldDir, newDir, files } of roots) {
+        for (const file of files) {
+            const destination = path.join(newDir, path.relative(oldDir, file));
+            fs.ensureDirSync(path.dirname(destination));
+            moveFile(file, destination);
+            moved.add(destination);
+        }
+        removeEmptyDirs(oldDir, root);
+
+        // Package lines of moved files, and imports anywhere in the module
+        for (const file of listFiles(root).filter(file => sourceExtensions.includes(path.extname(file)))) {
+            replaceInFile(file, [
+                {
+                    label: 'package',
+                    pattern: new RegExp(`^package\\s+${oldPattern}(?=[\\s.;]|$)`, 'm'),
+                    replacement: () => `package ${newPackage}`,
+                    count: moved.has(file) ? 1 : '*'
+                },
+                {
+                    label: 'import',
+                    pattern: new RegExp(`^(import\\s+(?:static\\s+)?)${oldPattern}(?=[.;\\s]|$)`, 'gm'),
+                    replacement: (match, prefix) => `${prefix}${newPackage}`,
+                    count: '*'
+                }
+            ]);
+        }
+    }
+
+    // Fully qualified component names in the manifest
+    const manifestPath = path.join(androidAppDir, 'src', 'main', 'AndroidManifest.xml');
+    if (fs.existsSync(manifestPath)) {
+        replaceInFile(manifestPath, [
+            {
+                label: 'android:name',
+                pattern: new RegExp(`(android:name=")${oldPattern}\\.`, 'g'),
+                replacement: (match, prefix) => `${prefix}${newPackage}.`,
+                count: '*'
+            }
+        ]);
+    }
+
+    console.log(`Moved ${moved.size} Android source file(s) from "${oldPackage}" to "${newPackage}".`);
+}
+
+module.exports = { detectOldPackage, moveAndroidPackage };
@@ -0,0 +1,27 @@
+const { parseArgs } = require('util');
+const { validateBump } = require('./versions');
+
+// Command line options shared by the release scripts
+const cliOptions = {
+    flavor: { type: 'string', short: 'f' },
+    'non-interactive': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    bump: { type: 'string' }
+};
+
+// Parse the command line of a release script
+function parseCliArgs(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({ args: argv, options: cliOptions, allowPositionals: false });
+    if (values.bump !== undefined && validateBump(values.bump) !== true) {
+        throw new Error(`--bump: ${validateBump(values.bump)}`);
+    }
+    return {
+        flavor: values.flavor,
+        // Prompts need a terminal; CI runs and pipes never get one
+        interactive: !values['non-interactive'] && Boolean(process.stdin.isTTY),
+        dryRun: values['dry-run'],
+        bump: values.bump
+    };
+}
+
+module.exports = { parseCliArgs };
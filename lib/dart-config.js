@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile, replaceInFile } = require('./rewrite');
+
+// Dart types a flavor constant can have
+const dartTypes = ['int', 'double', 'bool', 'String', 'List<String>'];
+
+// Where the constants go: rewritten in lib/config.dart, generated into their
+// own file, or passed to flutter build with --dart-define-from-file
+const configModes = ['rewrite', 'generate', 'dart-define'];
+const configFile = path.join('lib', 'config.dart');
+const generatedConfigFile = path.join('lib', 'flavor_config.g.dart');
+const dartDefineFile = 'flavor_defines.json';
+
+// Type of a plain flavor value, or null when it has none of the Dart types
+function inferType(value) {
+    if (typeof value === 'boolean') {
+        return 'bool';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'int' : 'double';
+    }
+    if (typeof value === 'string') {
+        return 'String';
+    }
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return 'List<String>';
+    }
+    return null;
+}
+
+// Problem with a value of the given type, or true
+function checkValue(type, value) {
+    switch (type) {
+        case 'int': return Number.isSafeInteger(value) || 'Must be a whole number.';
+        case 'double': return (typeof value === 'number' && Number.isFinite(value)) || 'Must be a finite number.';
+        case 'bool': return typeof value === 'boolean' || 'Must be true or false.';
+        case 'String': return typeof value === 'string' || 'Must be a string.';
+        default: return (Array.isArray(value) && value.every(item => typeof item === 'string')) || 'Must be a list of strings.';
+    }
+}
+
+// A constant is a plain value, whose type follows from it, or
+// { type, value } when the type has to be given (e.g. a double of 2)
+function resolveConstant(name, entry) {
+    const typed = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const type = typed ? entry.type : inferType(entry);
+    const value = typed ? entry.value : entry;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        return { problem: `${name}: Not a valid Dart identifier.` };
+    }
+    if (!dartTypes.includes(type)) {
+        return { problem: `${name}: ${typed ? `Type must be one of ${dartTypes.join(', ')}.` : 'Use a number, true/false, a string, a list of strings or { "type", "value" }.'}` };
+    }
+    const result = checkValue(type, value);
+    return result === true ? { name, type, value } : { problem: `${name}: ${result}` };
+}
+
+// Check the config section of a flavor
+function validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'Must be an object of constant names and values.';
+    }
+    const problems = Object.entries(config).map(([name, entry]) => resolveConstant(name, entry).problem).filter(Boolean);
+    return problems.length === 0 || problems.join(' ');
+}
+
+function validateConfigMode(input) {
+    return configModes.includes(input) || `Config mode must be one of ${configModes.join(', ')}.`;
+}
+
+// Every constant of a config section with its Dart type
+function resolveConstants(config) {
+    const result = validateConfig(config);
+    if (result !== true) {
+        throw new Error(`Invalid config constants: ${result}`);
+    }
+    return Object.entries(config).map(([name, entry]) => resolveConstant(name, entry));
+}
+
+// Single-quoted Dart string literal
+function dartString(text) {
+    const escaped = text.replace(/[\\'$\n\r\t\b\f\v]|[\x00-\x1f\x7f]/g, (char) => {
+        switch (char) {
+            case '\\': return '\\\\';
+            case '\'': return '\\\'';
+            case '$': return '\\$';
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            case '\b': return '\\b';
+            case '\f': return '\\f';
+            case '\v': return '\\v';
+            default: return `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`;
+        }
+    });
+    return `'${escaped}'`;
+}
+
+// Dart source for a constant's value
+function dartLiteral({ type, value }) {
+    switch (type) {
+        case 'int': return String(value);
+        case 'double': return Number.isInteger(value) ? value.toFixed(1) : String(value);
+        case 'bool': return String(value);
+        case 'String': return dartString(value);
+        default: return `<String>[${value.map(dartString).join(', ')}]`;
+    }
+}
+
+// Replace the value of every constant declared in lib/config.dart. Each
+// declaration has to be there exactly once; the value may span several lines
+// and contain semicolons in strings or comments.
+function rewriteConfigFile(projectDir, constants) {
+    const valuePattern = String.raw`(?:'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|\/\/[^\n]*|\/\*[\s\S]*?\*\/|[^;'"])*?`;
+    replaceInFile(path.join(projectDir, configFile), constants.map(constant => ({
+        label: constant.name,
+        pattern: new RegExp(String.raw`\b((?:static\s+)?(?:const|final))\s+(?:[\w<>?, ]+?\s+)?${constant.name}\s*=\s*${valuePattern};`),
+        replacement: (match, keyword) => `${keyword} ${constant.type} ${constant.name} = ${dartLiteral(constant)};`
+    })));
+    return configFile;
+}
+
+// Write every constant into lib/flavor_config.g.dart
+function generateConfigFile(projectDir, constants, flavorName) {
+    const lines = [
+        `// Generated by flutter-release${flavorName ? ` for the flavor "${flavorName}"` : ''}. Do not edit.`,
+        '// ignore_for_file: constant_identifier_names',
+        '',
+        ...constants.map(constant => `const ${constant.type} ${constant.name} = ${dartLiteral(constant)};`),
+        ''
+    ];
+    writeTextFile(path.join(projectDir, generatedConfigFile), lines.join('\n'));
+    return generatedConfigFile;
+}
+
+// Apply a config section to the project in the given mode. Returns the file
+// that was changed.
+function applyConfigConstants(projectDir, config, { mode = 'rewrite', flavorName } = {}) {
+    const result = validateConfigMode(mode);
+    if (result !== true) {
+        throw new Error(result);
+    }
+    if (mode === 'dart-define') {
+        throw new Error('The dart-define config mode passes the constants to flutter build; use writeDartDefineFile.');
+    }
+    const constants = resolveConstants(config);
+    const filePath = mode === 'generate'
+        ? generateConfigFile(projectDir, constants, flavorName)
+        : rewriteConfigFile(projectDir, constants);
+    console.log(`Wrote ${constants.length} config constant(s) to ${filePath}: ${constants.map(constant => constant.name).join(', ')}`);
+    return filePath;
+}
+
+// Dart files under a folder, as paths relative to it
+function listDartFiles(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+        const name = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            return listDartFiles(dir, name);
+        }
+        return name.endsWith('.dart') ? [name] : [];
+    });
+}
+
+// Keys the app reads with String/int/bool.fromEnvironment or
+// bool.hasEnvironment, with the places they are read at
+function findEnvironmentKeys(projectDir) {
+    const libDir = path.join(projectDir, 'lib');
+    const keys = new Map();
+    if (!fs.existsSync(libDir)) {
+        return keys;
+    }
+    const pattern = /\b(?:String|int|bool)\s*\.\s*(?:fromEnvironment|hasEnvironment)\s*\(\s*(['"])([^'"\\$\n]+)\1/g;
+    const dartFiles = listDartFiles(libDir).sort();
+    for (const name of dartFiles) {
+        const content = fs.readFileSync(path.join(libDir, name), 'utf8');
+        for (const match of content.matchAll(pattern)) {
+            const line = content.slice(0, match.index).split('\n').length;
+            const places = keys.get(match[2]) || [];
+            places.push(`${path.join('lib', name)}:${line}`);
+            keys.set(match[2], places);
+        }
+    }
+    return keys;
+}
+
+// Write the constants to flavor_defines.json at the project root for
+// `flutter build --dart-define-from-file`, and warn about environment keys
+// the app reads but the flavor does not give. Returns the file's path
+// relative to the project.
+function writeDartDefineFile(projectDir, config) {
+    const constants = resolveConstants(config);
+    const lists = constants.filter(constant => constant.type === 'List<String>');
+    if (lists.length > 0) {
+        throw new Error(`--dart-define-from-file only takes strings, numbers and booleans; ${lists.map(constant => constant.name).join(', ')} ${lists.length === 1 ? 'is a list' : 'are lists'}.`);
+    }
+    const defines = Object.fromEntries(constants.map(constant => [constant.name, constant.value]));
+    writeTextFile(path.join(projectDir, dartDefineFile), `${JSON.stringify(defines, null, 2)}\n`);
+    console.log(`Wrote ${constants.length} define(s) to ${dartDefineFile}: ${constants.map(constant => constant.name).join(', ')}`);
+
+    const missing = [...findEnvironmentKeys(projectDir)].filter(([key]) => !(key in defines));
+    if (missing.length > 0) {
+        console.warn(`Warning: lib/ reads ${missing.length} environment key(s) the flavor does not define:\n  ${missing.map(([key, places]) => `${key} (${places.join(', ')})`).join('\n  ')}`);
+    }
+    return dartDefineFile;
+}
+
+module.exports = {
+    dartTypes,
+    configModes,
+    validateConfig,
+    validateConfigMode,
+    resolveConstants,
+    dartString,
+    dartLiteral,
+    applyConfigConstants,
+    writeDartDefineFile
+};
@@ -0,0 +1,77 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { getJournal, resetJournal, describeMismatch } = require('./rewrite');
+
+// Build outputs and caches are not needed to preview the edits
+const skippedFolders = ['build', '.dart_tool', 'Pods', '.gradle', '.git'];
+
+// Copy the Flutter app into a throwaway folder for a dry run
+async function copyProjectToScratch(flutterAppFolderPath, scratchDir) {
+    const projectDir = path.join(scratchDir, path.basename(flutterAppFolderPath));
+
+    console.log(`Dry run: copying the project to ${projectDir}...`);
+    await fs.copy(flutterAppFolderPath, projectDir, {
+        filter: (src) => !skippedFolders.includes(path.basename(src))
+    });
+    // Collect every mismatch instead of stopping at the first one
+    resetJournal({ strict: false });
+    return projectDir;
+}
+
+// Print a unified diff for every file the run changed, then every
+// replacement that did not match as expected
+function printPlan(projectDir) {
+    const { files, binaries, mismatches } = getJournal();
+    const relative = (filePath) => path.relative(projectDir, filePath);
+    let changed = 0;
+
+    for (const [filePath, { originalPath, before }] of files) {
+        const after = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        if (before === after && originalPath === filePath) {
+            continue;
+        }
+        changed++;
+        const oldName = before === null ? '/dev/null' : `a/${relative(originalPath)}`;
+        const newName = after === null ? '/dev/null' : `b/${relative(filePath)}`;
+        console.log(createTwoFilesPatch(oldName, newName, before || '', after || ''));
+    }
+
+    for (const filePath of binaries) {
+        console.log(`Binary file written: ${relative(filePath)}`);
+    }
+
+    console.log(`\nDry run: ${changed} file(s) changed, ${binaries.size} binary file(s) written.`);
+    if (mismatches.length > 0) {
+        console.log(`${mismatches.length} replacement(s) did not match as expected:`);
+        for (const mismatch of mismatches) {
+            console.log(describeMismatch({ ...mismatch, filePath: relative(mismatch.filePath) }));
+        }
+    } else {
+        console.log('Every replacement matched.');
+    }
+}
+
+// Apply the edits to a scratch copy of the app, show the plan and throw the
+// copy away, also when an edit fails. Fails when a replacement did not
+// match, so CI notices a template that drifted.
+async function withScratchCopy(flutterAppFolderPath, applyEdits) {
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flutter-release-'));
+    let mismatches;
+    try {
+        const projectDir = await copyProjectToScratch(flutterAppFolderPath, scratchDir);
+        await applyEdits(projectDir);
+        printPlan(projectDir);
+        ({ mismatches } = getJournal());
+    } finally {
+        await fs.remove(scratchDir);
+        // Whatever runs next in this process stops at the first mismatch again
+        resetJournal();
+    }
+    if (mismatches.length > 0) {
+        throw new Error(`Dry run found ${mismatches.length} replacement(s) that did not match.`);
+    }
+}
+
+module.exports = { printPlan, withScratchCopy };
@@ -0,0 +1,277 @@
+const inquirer = require('inquirer').default;
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { validateTeamId, validateSigning } = require('./ios-signing');
+const { validateExport } = require('./ios-export');
+const { validateColor, validateIconPath } = require('./icons');
+const { validateAdaptiveIcon } = require('./android-icons');
+const { validateAndroidBuild } = require('./android-build');
+const { validateSplash } = require('./splash');
+const { validateConfig, validateConfigMode } = require('./dart-config');
+
+// Checked-in flavor files live here; a flavor can also be given as a path
+const flavorsDir = path.join(__dirname, '..', 'flavors');
+const flavorExtensions = ['.json', '.yaml', '.yml'];
+
+// Validate a bundle id such as com.example.app
+function validateBundleId(input) {
+    const bundleIdPattern = /^[a-zA-Z0-9]+(\.[a-zA-Z0-9]+)+$/;
+    if (!bundleIdPattern.test(input)) {
+        return 'Invalid Bundle ID. A valid Bundle ID must consist of alphanumeric characters and dots, and should not start or end with a dot.';
+    }
+    return true;
+}
+
+// Validate an Android version code / iOS build number
+function validateVersionCode(input) {
+    return !isNaN(parseInt(input)) || 'Version code must be a number.';
+}
+
+function validateInteger(input) {
+    return /^-?\d+$/.test(String(input)) || 'Must be a whole number.';
+}
+
+function validateVersionName(input) {
+    return /^\d+(\.\d+){0,2}$/.test(String(input)) || 'Version must look like 1.0.0.';
+}
+
+function validateBuildMode(input) {
+    return ['Debug', 'Release'].includes(input) || 'Build mode must be "Debug" or "Release".';
+}
+
+function validatePlatforms(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return 'Platforms must be a non-empty list.';
+    }
+    const unknown = input.filter(platform => !['android', 'ios'].includes(platform));
+    return unknown.length === 0 || `Unknown platform(s): ${unknown.join(', ')}. Use "android" and/or "ios".`;
+}
+
+function validateString(input) {
+    return (typeof input === 'string' && input.trim() !== '') || 'Must be a non-empty string.';
+}
+
+function validateObject(input) {
+    return (input !== null && typeof input === 'object' && !Array.isArray(input)) || 'Must be an object of keys and values.';
+}
+
+function validateCountryCode(input) {
+    return String(input).length === 2 || 'Country code must be 2 characters.';
+}
+
+const targets = (platform) => (flavor, current) => current === platform;
+
+// Flavor schema. `required` decides whether a missing value has to be supplied
+// (by the file or a prompt) for the platform being built.
+const flavorFields = [
+    { key: 'bundleId', required: true, validate: validateBundleId },
+    { key: 'appName', required: true, validate: validateString },
+    { key: 'source', required: true, validate: validateString },
+    { key: 'buildMode', required: true, validate: validateBuildMode },
+    { key: 'platforms', required: false, validate: validatePlatforms },
+    // Without a version name --bump has to be given; without a code the
+    // versions ledger assigns the next one
+    { key: 'version.name', required: false, validate: validateVersionName },
+    { key: 'version.code', required: false, validate: validateVersionCode },
+    { key: 'icon', required: false, validate: validateIconPath },
+    { key: 'splash', required: false, validate: validateSplash },
+    { key: 'config', required: true, validate: validateConfig },
+    { key: 'configMode', required: false, validate: validateConfigMode },
+    { key: 'android.signing.keyAlias', required: false, validate: validateString },
+    { key: 'android.signing.validity', required: false, validate: validateInteger },
+    { key: 'android.signing.dname.countryCode', required: false, validate: validateCountryCode },
+    { key: 'android.adaptiveIcon', required: false, validate: validateAdaptiveIcon },
+    { key: 'android.build', required: false, validate: validateAndroidBuild },
+    { key: 'ios.deploymentTarget', required: targets('ios'), validate: validateVersionName },
+    { key: 'ios.iconBackground', required: false, validate: validateColor },
+    { key: 'ios.infoPlist', required: false, validate: validateObject },
+    { key: 'ios.signing', required: false, validate: validateSigning },
+    { key: 'ios.signing.teamId', required: targets('ios'), validate: validateTeamId },
+    { key: 'ios.export', required: false, validate: validateExport }
+];
+
+function getField(object, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+// Find a flavor by path, or by name inside the flavors folder
+function resolveFlavorPath(nameOrPath) {
+    const candidates = [path.resolve(nameOrPath)];
+    if (!nameOrPath.includes('/') && !path.extname(nameOrPath)) {
+        candidates.push(...flavorExtensions.map(ext => path.join(flavorsDir, `${nameOrPath}${ext}`)));
+    }
+    const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (!found) {
+        throw new Error(`Flavor "${nameOrPath}" not found. Looked in:\n  ${candidates.join('\n  ')}`);
+    }
+    return found;
+}
+
+// Read a JSON or YAML flavor file
+function loadFlavor(nameOrPath) {
+    const flavorPath = resolveFlavorPath(nameOrPath);
+    const content = fs.readFileSync(flavorPath, 'utf8');
+    const flavor = path.extname(flavorPath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+    if (!flavor || typeof flavor !== 'object' || Array.isArray(flavor)) {
+        throw new Error(`Flavor file ${flavorPath} must contain an object.`);
+    }
+
+    // Paths inside a flavor are relative to the flavor file
+    const flavorDir = path.dirname(flavorPath);
+    if (typeof flavor.icon === 'string') {
+        flavor.icon = path.resolve(flavorDir, flavor.icon);
+    }
+    if (flavor.splash && typeof flavor.splash.logo === 'string') {
+        flavor.splash.logo = path.resolve(flavorDir, flavor.splash.logo);
+    }
+    const adaptiveIcon = getField(flavor, 'android.adaptiveIcon');
+    if (adaptiveIcon && typeof adaptiveIcon === 'object') {
+        for (const layer of ['foreground', 'background', 'monochrome']) {
+            if (typeof adaptiveIcon[layer] === 'string' && !adaptiveIcon[layer].startsWith('#')) {
+                adaptiveIcon[layer] = path.resolve(flavorDir, adaptiveIcon[layer]);
+            }
+        }
+    }
+
+    flavor.name = flavor.name || path.basename(flavorPath, path.extname(flavorPath));
+    flavor.file = flavorPath;
+    return flavor;
+}
+
+// Check a flavor against the schema and report every problem at once
+function validateFlavor(flavor, platform) {
+    const invalid = [];
+    const missing = [];
+
+    for (const field of flavorFields) {
+        const value = getField(flavor, field.key);
+        if (value === undefined || value === null || value === '') {
+            const required = typeof field.required === 'function' ? field.required(flavor, platform) : field.required;
+            if (required) {
+                missing.push(field.key);
+            }
+            continue;
+        }
+        const result = field.validate(value);
+        if (result !== true) {
+            invalid.push(`${field.key}: ${result}`);
+        }
+    }
+
+    if (platform && Array.isArray(flavor.platforms) && !flavor.platforms.includes(platform)) {
+        invalid.push(`platforms: Flavor "${flavor.name}" does not target ${platform}.`);
+    }
+
+    return { invalid, missing };
+}
+
+// Map flavor fields onto the answer names used by the prompts
+function flavorToAnswers(flavor) {
+    const answers = {
+        buildMode: flavor.buildMode,
+        flutterAppFolderName: flavor.source,
+        bundleName: flavor.bundleId,
+        appName: flavor.appName,
+        config: flavor.config,
+        versionName: getField(flavor, 'version.name'),
+        versionCode: getField(flavor, 'version.code'),
+        deploymentTarget: getField(flavor, 'ios.deploymentTarget'),
+        teamId: getField(flavor, 'ios.signing.teamId')
+    };
+
+    // Drop empty values so the matching prompts still run
+    for (const [name, value] of Object.entries(answers)) {
+        if (value === undefined || value === null || value === '') {
+            delete answers[name];
+        } else if (typeof value === 'number') {
+            answers[name] = String(value);
+        }
+    }
+    return answers;
+}
+
+// Config constants of a release without a flavor, from the answers to the
+// OFFLINE_CATEGORY_ID, API_URL and ANDROID_PRODUCT_ID prompts
+function answersToConfig(answers) {
+    const config = {
+        OFFLINE_CATEGORY_ID: parseInt(answers.offlineCategoryId, 10),
+        API_URL: answers.apiUrl
+    };
+    if (answers.androidProductId !== undefined) {
+        config.ANDROID_PRODUCT_ID = answers.androidProductId;
+    }
+    return config;
+}
+
+// Map the keystore settings of a flavor onto the keystore prompt names
+function flavorToKeystoreAnswers(flavor) {
+    const signing = getField(flavor, 'android.signing') || {};
+    const dname = signing.dname || {};
+    const answers = {
+        keyAlias: signing.keyAlias,
+        keyPassword: process.env.KEYSTORE_PASSWORD,
+        validity: signing.validity !== undefined ? String(signing.validity) : undefined,
+        ...dname
+    };
+    for (const name of Object.keys(answers)) {
+        if (answers[name] === undefined) {
+            delete answers[name];
+        }
+    }
+    return answers;
+}
+
+// Ask only the questions the flavor did not answer. Without a terminal the
+// unanswered questions are reported instead of prompted.
+async function promptMissing(questions, answers, interactive) {
+    if (!interactive) {
+        const unanswered = questions.filter(question =>
+            answers[question.name] === undefined &&
+            (typeof question.when !== 'function' || question.when(answers))
+        );
+        if (unanswered.length > 0) {
+            throw new Error(`Missing values and prompts are disabled:\n  ${unanswered.map(question => question.name).join('\n  ')}`);
+        }
+        return { ...answers };
+    }
+    return inquirer.prompt(questions, answers);
+}
+
+// Load and validate the flavor named on the command line, if any
+function loadFlavorAnswers(flavorName, platform, interactive) {
+    if (!flavorName) {
+        return { flavor: null, answers: {} };
+    }
+
+    const flavor = loadFlavor(flavorName);
+    const { invalid, missing } = validateFlavor(flavor, platform);
+    const problems = [...invalid];
+    if (!interactive) {
+        problems.push(...missing.map(key => `${key}: Missing.`));
+    }
+    if (problems.length > 0) {
+        throw new Error(`Flavor ${flavor.file} is not valid:\n  ${problems.join('\n  ')}`);
+    }
+    if (missing.length > 0) {
+        console.log(`Flavor "${flavor.name}" is missing ${missing.join(', ')}. You will be prompted for them.`);
+    }
+
+    console.log(`Using flavor "${flavor.name}" from ${flavor.file}`);
+    return { flavor, answers: flavorToAnswers(flavor) };
+}
+
+module.exports = {
+    flavorsDir,
+    validateBundleId,
+    validateVersionCode,
+    validatePlatforms,
+    resolveFlavorPath,
+    loadFlavor,
+    validateFlavor,
+    flavorToAnswers,
+    answersToConfig,
+    flavorToKeystoreAnswers,
+    promptMissing,
+    loadFlavorAnswers
+};
@@ -0,0 +1,256 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { replaceInFile, writeTextFile } = require('./rewrite');
+
+// App module build file names per DSL
+const buildFileNames = {
+    groovy: 'build.gradle',
+    kotlin: 'build.gradle.kts'
+};
+
+// Find the app module's build file and tell which DSL the project uses
+function findGradleProject(androidAppDir) {
+    for (const [dialect, fileName] of Object.entries(buildFileNames)) {
+        const buildFile = path.join(androidAppDir, fileName);
+        if (fs.existsSync(buildFile)) {
+            return { dialect, buildFile };
+        }
+    }
+    throw new Error(`No build.gradle or build.gradle.kts found in ${androidAppDir}`);
+}
+
+// `key "value"` (Groovy) or `key = "value"` (both) at the start of a line.
+// The operator and spacing of the source file are kept; Kotlin only accepts
+// double quotes.
+function stringProperty(key, value) {
+    return {
+        label: key,
+        pattern: new RegExp(`^([ \\t]*${key}\\b[ \\t]*=?[ \\t]*)["'][^"'\\n]*["']`, 'm'),
+        replacement: (match, prefix) => `${prefix}"${value}"`
+    };
+}
+
+// versionCode / versionName may hold a literal or an expression such as
+// flutter.versionCode; the whole value up to the end of the line is replaced
+function valueProperty(key, value) {
+    return {
+        label: key,
+        pattern: new RegExp(`^([ \\t]*${key}\\b[ \\t]*=?[ \\t]*)[^\\s=].*$`, 'm'),
+        replacement: (match, prefix) => `${prefix}${value}`
+    };
+}
+
+// Release signing snippets per DSL. They read the key.properties file that
+// generateKeystore writes next to the Android project.
+const signingSnippets = {
+    groovy: {
+        imports: [],
+        loadProperties: [
+            'def keystoreProperties = new Properties()',
+            "def keystorePropertiesFile = rootProject.file('key.properties')",
+            'if (keystorePropertiesFile.exists()) {',
+            '    keystoreProperties.load(new FileInputStream(keystorePropertiesFile))',
+            '}'
+        ],
+        releaseConfigName: 'release',
+        releaseConfig: [
+            'release {',
+            "    keyAlias keystoreProperties['keyAlias']",
+            "    keyPassword keystoreProperties['keyPassword']",
+            "    storeFile keystoreProperties['storeFile'] ? file(keystoreProperties['storeFile']) : null",
+            "    storePassword keystoreProperties['storePassword']",
+            '}'
+        ],
+        releaseBuildTypeName: 'release',
+        useReleaseConfig: 'signingConfig signingConfigs.release',
+        releaseReference: 'signingConfigs.release'
+    },
+    kotlin: {
+        imports: ['import java.io.FileInputStream', 'import java.util.Properties'],
+        loadProperties: [
+            'val keystoreProperties = Properties()',
+            'val keystorePropertiesFile = rootProject.file("key.properties")',
+            'if (keystorePropertiesFile.exists()) {',
+            '    keystoreProperties.load(FileInputStream(keystorePropertiesFile))',
+            '}'
+        ],
+        releaseConfigName: 'create\\(\\s*"release"\\s*\\)',
+        releaseConfig: [
+            'create("release") {',
+            '    keyAlias = keystoreProperties["keyAlias"] as String',
+            '    keyPassword = keystoreProperties["keyPassword"] as String',
+            '    storeFile = keystoreProperties["storeFile"]?.let { file(it) }',
+            '    storePassword = keystoreProperties["storePassword"] as String',
+            '}'
+        ],
+        releaseBuildTypeName: '(?:release|getByName\\(\\s*"release"\\s*\\))',
+        useReleaseConfig: 'signingConfig = signingConfigs.getByName("release")',
+        releaseReference: 'signingConfigs.getByName("release")'
+    }
+};
+
+const indentUnit = '    ';
+
+// Index of the brace closing the one at `openIndex`, skipping strings and comments
+function matchingBrace(content, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < content.length; i++) {
+        const char = content[i];
+        if (char === '/' && content[i + 1] === '/') {
+            i = content.indexOf('\n', i);
+            if (i < 0) {
+                break;
+            }
+        } else if (char === '/' && content[i + 1] === '*') {
+            i = content.indexOf('*/', i + 2) + 1;
+            if (i <= 0) {
+                break;
+            }
+        } else if (char === '"' || char === "'") {
+            i++;
+            while (i < content.length && content[i] !== char) {
+                i += content[i] === '\\' ? 2 : 1;
+            }
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Find a `name {` block between `from` and `to`. Returns the index where the
+// name starts, its opening brace and its closing brace.
+function findBlock(content, name, from = 0, to = content.length) {
+    const pattern = new RegExp(`(^|[\\s;{])(${name})\\s*\\{`, 'gm');
+    pattern.lastIndex = from;
+    let match;
+    while ((match = pattern.exec(content)) && match.index < to) {
+        const start = match.index + match[1].length;
+        const open = match.index + match[0].length - 1;
+        const close = matchingBrace(content, open);
+        if (start >= from && close > 0 && close <= to) {
+            return { start, open, close };
+        }
+    }
+    return null;
+}
+
+// Leading whitespace of the line holding `index`
+function indentAt(content, index) {
+    const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+    return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Insert lines after the opening brace of a block, one level deeper
+function insertIntoBlock(content, block, lines) {
+    const indent = indentAt(content, block.start) + indentUnit;
+    const text = lines.map(line => (line ? `\n${indent}${line}` : '\n')).join('');
+    return content.slice(0, block.open + 1) + text + content.slice(block.open + 1);
+}
+
+// Insert lines on their own just before a block, at the block's indentation
+function insertBeforeBlock(content, block, lines) {
+    const indent = indentAt(content, block.start);
+    const lineStart = content.lastIndexOf('\n', block.start - 1) + 1;
+    const text = lines.map(line => (line ? `${indent}${line}\n` : '\n')).join('');
+    return content.slice(0, lineStart) + text + content.slice(lineStart);
+}
+
+// Make sure a release build is signed with the release key: load
+// key.properties, declare signingConfigs.release and use it from
+// buildTypes.release. Whatever the project already has is kept.
+function ensureReleaseSigning(androidAppDir) {
+    const { dialect, buildFile } = findGradleProject(androidAppDir);
+    const snippet = signingSnippets[dialect];
+    let content = fs.readFileSync(buildFile, 'utf8');
+    const added = [];
+
+    const androidBlock = () => {
+        const block = findBlock(content, 'android');
+        if (!block) {
+            throw new Error(`No android { } block found in ${buildFile}`);
+        }
+        return block;
+    };
+
+    if (!/\bkeystoreProperties\b/.test(content)) {
+        const missingImports = snippet.imports.filter(line => !content.includes(line));
+        const { start } = androidBlock();
+        content = content.slice(0, start) + snippet.loadProperties.join('\n') + '\n\n' + content.slice(start);
+        if (missingImports.length > 0) {
+            content = missingImports.join('\n') + '\n\n' + content;
+        }
+        added.push('key.properties loading');
+    }
+
+    let android = androidBlock();
+    const signingConfigs = findBlock(content, 'signingConfigs', android.open, android.close);
+    if (!signingConfigs) {
+        // Groovy resolves signingConfigs.release eagerly, so declare it before buildTypes
+        const lines = ['signingConfigs {', ...snippet.releaseConfig.map(line => indentUnit + line), '}'];
+        const buildTypes = findBlock(content, 'buildTypes', android.open, android.close);
+        content = buildTypes
+            ? insertBeforeBlock(content, buildTypes, [...lines, ''])
+            : insertIntoBlock(content, android, ['', ...lines]);
+        added.push('signingConfigs.release');
+    } else if (!findBlock(content, snippet.releaseConfigName, signingConfigs.open, signingConfigs.close)) {
+        content = insertIntoBlock(content, signingConfigs, snippet.releaseConfig);
+        added.push('signingConfigs.release');
+    }
+
+    android = androidBlock();
+    const buildTypes = findBlock(content, 'buildTypes', android.open, android.close);
+    const releaseType = buildTypes && findBlock(content, snippet.releaseBuildTypeName, buildTypes.open, buildTypes.close);
+    if (!buildTypes) {
+        content = insertIntoBlock(content, android, ['', 'buildTypes {', `${indentUnit}release {`, `${indentUnit}${indentUnit}${snippet.useReleaseConfig}`, `${indentUnit}}`, '}']);
+        added.push('buildTypes.release.signingConfig');
+    } else if (!releaseType) {
+        content = insertIntoBlock(content, buildTypes, ['release {', `${indentUnit}${snippet.useReleaseConfig}`, '}']);
+        added.push('buildTypes.release.signingConfig');
+    } else {
+        const body = content.slice(releaseType.open + 1, releaseType.close);
+        const signingLine = /(\bsigningConfig\b\s*=?\s*)([^\n]+)/;
+        if (!signingLine.test(body)) {
+            content = insertIntoBlock(content, releaseType, [snippet.useReleaseConfig]);
+            added.push('buildTypes.release.signingConfig');
+        } else if (!body.match(signingLine)[2].includes(snippet.releaseReference)) {
+            const newBody = body.replace(signingLine, (match, prefix) => `${prefix}${snippet.releaseReference}`);
+            content = content.slice(0, releaseType.open + 1) + newBody + content.slice(releaseType.close);
+            added.push('buildTypes.release.signingConfig');
+        }
+    }
+
+    if (added.length > 0) {
+        writeTextFile(buildFile, content);
+        console.log(`Added release signing to ${path.basename(buildFile)}: ${added.join(', ')}.`);
+    } else {
+        console.log(`${path.basename(buildFile)} already signs release builds with the release key.`);
+    }
+}
+
+// Rewrite namespace and applicationId
+function updateGradleIds(androidAppDir, bundleName) {
+    const { dialect, buildFile } = findGradleProject(androidAppDir);
+
+    replaceInFile(buildFile, [
+        stringProperty('namespace', bundleName),
+        stringProperty('applicationId', bundleName)
+    ]);
+
+    console.log(`Updated ${path.basename(buildFile)} (${dialect === 'kotlin' ? 'Kotlin DSL' : 'Groovy'}) with namespace and applicationId "${bundleName}".`);
+    return dialect;
+}
+
+// Rewrite versionCode and versionName in defaultConfig
+function updateGradleVersion(androidAppDir, versionName, versionCode) {
+    const { buildFile } = findGradleProject(androidAppDir);
+    replaceInFile(buildFile, [
+        valueProperty('versionCode', parseInt(versionCode)),
+        valueProperty('versionName', `"${versionName}"`)
+    ]);
+    console.log(`Updated ${path.basename(buildFile)} with versionName ${versionName} and versionCode ${versionCode}.`);
+}
+
+module.exports = { findGradleProject, updateGradleIds, updateGradleVersion, ensureReleaseSigning };
@@ -0,0 +1,86 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+
+// Helpers shared by the iOS and Android icon generators
+
+// Icon files looked for when a flavor does not name one: first in the Flutter
+// app being released, then next to the release scripts
+const defaultIconNames = ['icon.svg', 'icon.png'];
+const scriptsDir = path.join(__dirname, '..');
+
+const iconExtensions = ['.png', '.jpg', '.jpeg', '.webp', '.svg'];
+
+// sharp renders an SVG at 72 dpi unless told otherwise
+const svgBaseDensity = 72;
+const maximumSvgDensity = 100000;
+
+function validateColor(input) {
+    return /^#[0-9a-fA-F]{6}$/.test(String(input)) || 'Colour must look like #RRGGBB.';
+}
+
+function validateIconPath(input) {
+    return (typeof input === 'string' && iconExtensions.includes(path.extname(input).toLowerCase()))
+        || `Icon must be a ${iconExtensions.join(', ')} file.`;
+}
+
+function isVector(iconPath) {
+    return path.extname(iconPath).toLowerCase() === '.svg';
+}
+
+// Open an icon source. `image(pixels, resizeOptions)` gives a sharp
+// pipeline at that size (squashed to a square unless the options give
+// another fit); an SVG is rendered at the size asked for instead of being
+// scaled up from its nominal one.
+async function loadIconSource(iconPath) {
+    const vector = isVector(iconPath);
+    const { width, height } = await sharp(iconPath).metadata();
+    return {
+        path: iconPath,
+        vector,
+        width,
+        height,
+        image(pixels, resizeOptions) {
+            const input = vector
+                ? sharp(iconPath, { density: Math.min(maximumSvgDensity, Math.ceil(svgBaseDensity * pixels / Math.min(width, height))) })
+                : sharp(iconPath);
+            return input.resize(pixels, pixels, resizeOptions);
+        }
+    };
+}
+
+// Refuse sources that are not square or would have to be scaled up. An SVG
+// can be rendered at any size, so only its shape is checked.
+function checkIconSource(source, minimumSize) {
+    const { path: iconPath, width, height } = source;
+    if (width !== height) {
+        throw new Error(`The app icon ${iconPath} must be square, but it is ${width}x${height} px.`);
+    }
+    if (!source.vector && width < minimumSize) {
+        throw new Error(`The app icon ${iconPath} is ${width}x${height} px; it must be at least ${minimumSize}x${minimumSize} px.`);
+    }
+}
+
+// The icon a release uses: the flavor's `icon`, or else icon.svg / icon.png in
+// the Flutter app folder or next to the scripts. Logs the choice; returns
+// null, with a warning, when there is none.
+function resolveIconSource(flavor, flutterAppFolderPath) {
+    if (flavor && flavor.icon) {
+        if (!fs.existsSync(flavor.icon)) {
+            throw new Error(`Icon ${flavor.icon} of flavor "${flavor.name}" does not exist.`);
+        }
+        console.log(`Using icon ${flavor.icon} from flavor "${flavor.name}".`);
+        return flavor.icon;
+    }
+
+    const candidates = [flutterAppFolderPath, scriptsDir].flatMap(dir => defaultIconNames.map(name => path.join(dir, name)));
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (found) {
+        console.log(`Using icon ${found}.`);
+        return found;
+    }
+    console.warn(`Warning: no icon source found, the app keeps its current icons. Set "icon" in the flavor or add one of:\n  ${candidates.join('\n  ')}`);
+    return null;
+}
+
+module.exports = { validateColor, validateIconPath, loadIconSource, checkIconSource, resolveIconSource };
@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile } = require('./rewrite');
+const { buildPlist } = require('./plist');
+const { runProcess, minutes } = require('./process');
+
+// Export methods understood by `xcodebuild -exportArchive`. Xcode 15.3
+// renamed some of them; both spellings are accepted and passed on as given.
+const exportMethods = ['app-store', 'app-store-connect', 'ad-hoc', 'release-testing', 'enterprise', 'development', 'debugging'];
+
+// Where the archive, the export options and the exported app go inside the project
+const archivePath = path.join('ios', 'Runner.xcarchive');
+const exportOptionsPath = path.join('ios', 'ExportOptions.plist');
+const exportDir = path.join('build', 'ios', 'ipa');
+
+// XCODEBUILD points at another xcodebuild, e.g. a stub when testing on Linux
+function xcodebuildCommand() {
+    return process.env.XCODEBUILD || 'xcodebuild';
+}
+
+// Check the ios.export section of a flavor
+function validateExport(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'Must be an object.';
+    }
+    const problems = [];
+    if (settings.method !== undefined && !exportMethods.includes(settings.method)) {
+        problems.push(`method: Must be one of ${exportMethods.join(', ')}.`);
+    }
+    for (const key of ['uploadSymbols', 'compileBitcode']) {
+        if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+            problems.push(`${key}: Must be true or false.`);
+        }
+    }
+    return problems.length === 0 || problems.join(' ');
+}
+
+// ExportOptions.plist values for the flavor's export settings and the
+// resolved signing profile. Manual signing maps the bundle id to the
+// Release provisioning profile.
+function exportOptions(bundleName, signingProfile, settings = {}) {
+    const result = validateExport(settings);
+    if (result !== true) {
+        throw new Error(`Invalid iOS export settings: ${result}`);
+    }
+    const options = {
+        method: settings.method || 'app-store',
+        teamID: signingProfile.teamId,
+        signingStyle: signingProfile.style.toLowerCase(),
+        uploadSymbols: settings.uploadSymbols !== undefined ? settings.uploadSymbols : true,
+        compileBitcode: settings.compileBitcode !== undefined ? settings.compileBitcode : false
+    };
+    if (signingProfile.style === 'Manual') {
+        options.signingCertificate = signingProfile.identities.Release;
+        options.provisioningProfiles = { [bundleName]: signingProfile.profiles.Release };
+    }
+    return options;
+}
+
+// Write ios/ExportOptions.plist into the project
+function writeExportOptions(projectDir, options) {
+    const filePath = path.join(projectDir, exportOptionsPath);
+    writeTextFile(filePath, buildPlist(options));
+    return filePath;
+}
+
+// Arguments of the xcodebuild step, relative to the project folder. A Release
+// build is archived for export; a Debug build is built for the simulator.
+function buildArgs(buildMode, signingProfile) {
+    const args = ['-workspace', 'ios/Runner.xcworkspace', '-scheme', 'Runner'];
+    if (buildMode !== 'Release') {
+        return [...args, '-sdk', 'iphonesimulator', '-configuration', 'Debug'];
+    }
+    args.push('-sdk', 'iphoneos', '-configuration', 'Release', 'archive', '-archivePath', archivePath);
+    // Manual signing names its profile; only Xcode's own may be fetched
+    if (signingProfile.style === 'Automatic') {
+        args.push('-allowProvisioningUpdates');
+    }
+    return args;
+}
+
+// Arguments of the export step, relative to the project folder
+function exportArchiveArgs(archivePath, options) {
+    const args = ['-exportArchive', '-archivePath', archivePath, '-exportPath', exportDir, '-exportOptionsPlist', exportOptionsPath];
+    // Automatic signing may have to fetch a distribution profile
+    if (options.signingStyle === 'automatic') {
+        args.push('-allowProvisioningUpdates');
+    }
+    return args;
+}
+
+// Export the archive into an .ipa and return its path
+async function exportArchive(projectDir, archivePath, options) {
+    console.log(`Exporting the archive for ${options.method} distribution...`);
+    const outputPath = path.join(projectDir, exportDir);
+    fs.removeSync(outputPath);
+    await runProcess(xcodebuildCommand(), exportArchiveArgs(archivePath, options), {
+        cwd: projectDir,
+        timeout: minutes(30),
+        label: 'xcodebuild -exportArchive'
+    });
+
+    const ipaName = fs.existsSync(outputPath) && fs.readdirSync(outputPath).find(name => name.endsWith('.ipa'));
+    if (!ipaName) {
+        throw new Error(`xcodebuild -exportArchive did not write an .ipa to ${outputPath}.`);
+    }
+    return path.join(outputPath, ipaName);
+}
+
+module.exports = {
+    exportMethods,
+    archivePath,
+    xcodebuildCommand,
+    validateExport,
+    exportOptions,
+    writeExportOptions,
+    buildArgs,
+    exportArchiveArgs,
+    exportArchive
+};
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile, recordBinaryFile } = require('./rewrite');
+const { validateColor, loadIconSource, checkIconSource } = require('./icons');
+
+// Every slot of an AppIcon set: point size, scales and idiom. File names
+// follow Flutter's template, so a slot shared by iPhone and iPad is one file.
+const appIconSlots = [
+    { idiom: 'iphone', size: 20, scales: [2, 3] }, // Notification
+    { idiom: 'iphone', size: 29, scales: [1, 2, 3] }, // Settings and Spotlight
+    { idiom: 'iphone', size: 40, scales: [2, 3] }, // Spotlight
+    { idiom: 'iphone', size: 60, scales: [2, 3] }, // App
+    { idiom: 'ipad', size: 20, scales: [1, 2] },
+    { idiom: 'ipad', size: 29, scales: [1, 2] },
+    { idiom: 'ipad', size: 40, scales: [1, 2] },
+    { idiom: 'ipad', size: 76, scales: [1, 2] },
+    { idiom: 'ipad', size: 83.5, scales: [2] }, // iPad Pro
+    { idiom: 'ios-marketing', size: 1024, scales: [1] } // App Store
+];
+
+// App Store Connect wants the marketing icon at full size
+const minimumSourceSize = 1024;
+
+// Transparent pixels are painted this colour unless the flavor picks one
+const defaultBackground = '#ffffff';
+
+// One entry per slot, as Xcode writes them
+function appIconImages() {
+    return appIconSlots.flatMap(({ idiom, size, scales }) => scales.map(scale => ({
+        size: `${size}x${size}`,
+        idiom,
+        filename: `Icon-App-${size}x${size}@${scale}x.png`,
+        scale: `${scale}x`,
+        pixels: Math.round(size * scale)
+    })));
+}
+
+// Render every slot of the AppIcon set without an alpha channel and write
+// the matching Contents.json
+async function writeAppIconSet(iconPath, appIconSetPath, background = defaultBackground) {
+    const result = validateColor(background);
+    if (result !== true) {
+        throw new Error(`Invalid iOS icon background "${background}": ${result}`);
+    }
+    const icon = await loadIconSource(iconPath);
+    checkIconSource(icon, minimumSourceSize);
+    fs.ensureDirSync(appIconSetPath);
+
+    const images = appIconImages();
+    const files = new Map(images.map(image => [image.filename, image.pixels]));
+    await Promise.all([...files].map(([fileName, pixels]) => {
+        const filePath = path.join(appIconSetPath, fileName);
+        recordBinaryFile(filePath);
+        return icon.image(pixels)
+            .flatten({ background })
+            .png()
+            .toFile(filePath);
+    }));
+
+    const contents = {
+        images: images.map(({ size, idiom, filename, scale }) => ({ size, idiom, filename, scale })),
+        info: { version: 1, author: 'xcode' }
+    };
+    writeTextFile(path.join(appIconSetPath, 'Contents.json'), `${JSON.stringify(contents, null, 2)}\n`);
+    return files.size;
+}
+
+module.exports = { appIconSlots, defaultBackground, appIconImages, writeAppIconSet };
@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile } = require('./rewrite');
+const { findNativeTarget, targetConfigurations, setBuildSettings } = require('./pbxproj');
+
+// Build configurations of a Flutter iOS project
+const configurationNames = ['Debug', 'Release', 'Profile'];
+
+// Identities used when a flavor does not name one
+const defaultIdentities = {
+    Automatic: { Debug: 'Apple Development', Release: 'Apple Development', Profile: 'Apple Development' },
+    Manual: { Debug: 'Apple Development', Release: 'Apple Distribution', Profile: 'Apple Distribution' }
+};
+
+// Flutter's xcconfigs, used as the Runner configurations' base, include ours
+const flutterXcconfigs = ['Debug.xcconfig', 'Release.xcconfig'];
+const includeLine = '#include? "../config/build.xcconfig"';
+
+function validateTeamId(input) {
+    return /^[A-Z0-9]{10}$/.test(String(input)) || 'Team ID must be the 10 character Apple developer team id.';
+}
+
+// A string, or one value per build configuration
+function validatePerConfiguration(input) {
+    if (typeof input === 'string') {
+        return input.trim() !== '' || 'Must be a non-empty string.';
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return 'Must be a string or an object with Debug, Release and/or Profile.';
+    }
+    const unknown = Object.keys(input).filter(name => !configurationNames.includes(name));
+    return unknown.length === 0 || `Unknown build configuration(s): ${unknown.join(', ')}.`;
+}
+
+// Check the ios.signing section of a flavor (teamId is checked on its own)
+function validateSigning(signing) {
+    if (!signing || typeof signing !== 'object' || Array.isArray(signing)) {
+        return 'Must be an object.';
+    }
+    const problems = [];
+    const check = (key, result) => {
+        if (result !== true) {
+            problems.push(`${key}: ${result}`);
+        }
+    };
+    if (signing.style !== undefined) {
+        check('style', ['Automatic', 'Manual'].includes(signing.style) || 'Must be "Automatic" or "Manual".');
+    }
+    if (signing.identity !== undefined) {
+        check('identity', validatePerConfiguration(signing.identity));
+    }
+    if (signing.provisioningProfiles !== undefined) {
+        check('provisioningProfiles', validatePerConfiguration(signing.provisioningProfiles));
+    }
+    if (signing.style === 'Manual' && !perConfiguration(signing.provisioningProfiles).Release) {
+        problems.push('provisioningProfiles: Manual signing needs a provisioning profile for Release.');
+    }
+    return problems.length === 0 || problems.join(' ');
+}
+
+function perConfiguration(value) {
+    if (typeof value === 'string') {
+        return Object.fromEntries(configurationNames.map(name => [name, value]));
+    }
+    return value || {};
+}
+
+// Complete a flavor's ios.signing section with the defaults
+function resolveSigningProfile(flavorSigning, teamId) {
+    const signing = flavorSigning || {};
+    teamId = teamId || signing.teamId;
+    const result = validateSigning(signing);
+    if (result !== true) {
+        throw new Error(`Invalid iOS signing settings: ${result}`);
+    }
+    const teamIdResult = validateTeamId(teamId);
+    if (teamIdResult !== true) {
+        throw new Error(`Invalid iOS signing team id "${teamId}": ${teamIdResult}`);
+    }
+    const style = signing.style || 'Automatic';
+    // Automatic signing picks its own profiles
+    const profiles = style === 'Manual' ? perConfiguration(signing.provisioningProfiles) : {};
+    // Manual signing applies where there is a profile to sign with; the other
+    // configurations stay on Automatic so Debug and Profile builds still sign
+    const styles = Object.fromEntries(configurationNames.map(name => [name, style === 'Manual' && !profiles[name] ? 'Automatic' : style]));
+    const identities = { ...defaultIdentities[style], ...perConfiguration(signing.identity) };
+    return {
+        teamId,
+        style,
+        styles,
+        identities: Object.fromEntries(configurationNames.map(name => [
+            name,
+            styles[name] === style ? identities[name] : defaultIdentities.Automatic[name]
+        ])),
+        profiles
+    };
+}
+
+// Signing build settings of one configuration; other configurations than
+// Debug, Release and Profile are signed like Release. A missing profile is
+// written as null, which removes a stale PROVISIONING_PROFILE_SPECIFIER.
+function signingBuildSettings(profile, configurationName) {
+    const name = configurationNames.includes(configurationName) ? configurationName : 'Release';
+    return {
+        DEVELOPMENT_TEAM: profile.teamId,
+        CODE_SIGN_STYLE: profile.styles[name],
+        CODE_SIGN_IDENTITY: profile.identities[name],
+        PROVISIONING_PROFILE_SPECIFIER: profile.profiles[name] || null
+    };
+}
+
+// Write ios/config/build.xcconfig and make Flutter's Debug/Release xcconfigs
+// include it, so the settings hold for anything built from those configs
+function writeSigningXcconfig(projectDir, profile) {
+    const iosDir = path.join(projectDir, 'ios');
+    const lines = [
+        `DEVELOPMENT_TEAM = ${profile.teamId}`
+    ];
+    for (const name of configurationNames) {
+        lines.push(`CODE_SIGN_STYLE[config=${name}] = ${profile.styles[name]}`);
+        lines.push(`CODE_SIGN_IDENTITY[config=${name}] = ${profile.identities[name]}`);
+        if (profile.profiles[name]) {
+            lines.push(`PROVISIONING_PROFILE_SPECIFIER[config=${name}] = ${profile.profiles[name]}`);
+        }
+    }
+    writeTextFile(path.join(iosDir, 'config', 'build.xcconfig'), `${lines.join('\n')}\n`);
+
+    for (const fileName of flutterXcconfigs) {
+        const xcconfigPath = path.join(iosDir, 'Flutter', fileName);
+        if (!fs.existsSync(xcconfigPath)) {
+            continue;
+        }
+        const content = fs.readFileSync(xcconfigPath, 'utf8');
+        if (!content.includes(includeLine)) {
+            writeTextFile(xcconfigPath, `${content.replace(/\n*$/, '\n')}${includeLine}\n`);
+        }
+    }
+}
+
+// Apply the signing profile to every build configuration of the Runner target
+function applySigningToRunner(project, profile) {
+    const configurations = targetConfigurations(project, findNativeTarget(project, 'Runner'));
+    for (const [name, id] of Object.entries(configurations)) {
+        setBuildSettings(project, [id], signingBuildSettings(profile, name));
+    }
+}
+
+// One line per configuration for the log
+function describeSigningProfile(profile) {
+    return configurationNames.map(name => {
+        const provisioning = profile.profiles[name] ? `, profile "${profile.profiles[name]}"` : '';
+        return `${name}: ${profile.styles[name]} signing, team ${profile.teamId}, "${profile.identities[name]}"${provisioning}`;
+    }).join('\n');
+}
+
+module.exports = {
+    validateTeamId,
+    validateSigning,
+    resolveSigningProfile,
+    signingBuildSettings,
+    writeSigningXcconfig,
+    applySigningToRunner,
+    describeSigningProfile
+};
@@ -0,0 +1,356 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess, minutes } = require('./process');
+
+// One folder per bundle id holding its keystore, key.properties and metadata
+const keystoreRegistryDir = path.join(__dirname, '..', 'keystores');
+const keystoreFileName = 'release.jks';
+const keyPropertiesFileName = 'key.properties';
+const metadataFileName = 'keystore.json';
+
+// Subject of the certificate the Android SDK generates for debug builds
+const debugCertificateOwner = /CN=Android Debug\b/;
+
+// Run a tool and resolve with its output, or null when it cannot be run
+async function readToolOutput(command, args) {
+    try {
+        const { stdout, stderr } = await runProcess(command, args, { quiet: true, allowFailure: true, timeout: minutes(2) });
+        return `${stdout}${stderr}`;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Check if keytool is installed
+async function checkKeytoolInstalled() {
+    return (await readToolOutput('keytool', ['-help'])) !== null;
+}
+
+// Run keytool against a keystore. The password reaches keytool through the
+// environment so it never shows up in the process list.
+async function runKeytool(args, password) {
+    const env = { ...process.env, FLUTTER_RELEASE_STOREPASS: password };
+    const { exitCode, stdout, stderr } = await runProcess('keytool', [...args, '-storepass:env', 'FLUTTER_RELEASE_STOREPASS'], {
+        env,
+        secrets: [password],
+        quiet: true,
+        allowFailure: true,
+        timeout: minutes(2),
+        label: 'keytool'
+    });
+    return { exitCode, output: `${stdout}${stderr}` };
+}
+
+// Quote the characters X.500 gives a meaning to in one DN attribute
+function escapeDnValue(value) {
+    return String(value).trim().replace(/[,+"\\<>;=]/g, '\\$&').replace(/^#/, '\\#');
+}
+
+// Create the release key of a registry entry. Passwords go through the
+// environment and DN values are escaped, so any character is safe.
+async function generateKeystoreFile(keystorePath, { keyAlias, keyPassword, validity, name, organizationUnit, organization, city, state, countryCode }) {
+    const dname = [
+        ['CN', name], ['OU', organizationUnit], ['O', organization],
+        ['L', city], ['ST', state], ['C', countryCode]
+    ].map(([key, value]) => `${key}=${escapeDnValue(value)}`).join(', ');
+
+    await runProcess('keytool', [
+        '-genkeypair', '-v',
+        '-keystore', keystorePath,
+        '-alias', keyAlias,
+        '-keyalg', 'RSA',
+        '-keysize', '2048',
+        '-validity', validity,
+        '-storepass:env', 'FLUTTER_RELEASE_STOREPASS',
+        '-keypass:env', 'FLUTTER_RELEASE_STOREPASS',
+        '-dname', dname
+    ], {
+        env: { ...process.env, FLUTTER_RELEASE_STOREPASS: keyPassword },
+        secrets: [keyPassword],
+        timeout: minutes(2),
+        label: 'Keystore generation'
+    });
+    console.log('Keystore generated successfully.');
+}
+
+// Turn keytool's failure into a message that says what to fix
+function describeKeytoolError(output, keystorePath, alias) {
+    if (/password was incorrect|Keystore was tampered with/i.test(output)) {
+        return `The store password in key.properties does not open ${keystorePath}.`;
+    }
+    if (/Alias <.*> does not exist/i.test(output)) {
+        return `The keystore ${keystorePath} has no key with alias "${alias}". Check keyAlias in key.properties.`;
+    }
+    return `keytool could not read ${keystorePath}: ${output.trim()}`;
+}
+
+// Pick the fields of `keytool -list -v` that matter for a release
+function parseKeystoreListing(output) {
+    const field = (name) => {
+        const match = output.match(new RegExp(`^\\s*${name}:\\s*(.+)$`, 'm'));
+        return match ? match[1].trim() : null;
+    };
+    const validity = output.match(/^\s*Valid from:\s*(.+?)\s+until:\s*(.+)$/m);
+    return {
+        alias: field('Alias name'),
+        owner: field('Owner'),
+        issuer: field('Issuer'),
+        serialNumber: field('Serial number'),
+        validFrom: validity ? validity[1] : null,
+        validUntil: validity ? validity[2] : null,
+        sha1: field('SHA1'),
+        sha256: field('SHA256')
+    };
+}
+
+// List the release key of a keystore, failing clearly when the password or
+// alias from key.properties does not open it
+async function readKeystoreInfo(keystorePath, alias, password) {
+    if (!fs.existsSync(keystorePath)) {
+        throw new Error(`Keystore ${keystorePath} does not exist.`);
+    }
+    const { exitCode, output } = await runKeytool(['-list', '-v', '-keystore', keystorePath, '-alias', alias], password);
+    if (exitCode !== 0) {
+        throw new Error(describeKeytoolError(output, keystorePath, alias));
+    }
+    return parseKeystoreListing(output);
+}
+
+// Write the upload certificate as PEM, e.g. for Play App Signing
+async function exportUploadCertificate(keystorePath, alias, password, pemPath) {
+    const { exitCode, output } = await runKeytool(['-exportcert', '-rfc', '-keystore', keystorePath, '-alias', alias, '-file', pemPath], password);
+    if (exitCode !== 0) {
+        throw new Error(describeKeytoolError(output, keystorePath, alias));
+    }
+    return pemPath;
+}
+
+// Print the signing certificates of an APK or AAB. keytool reads the v1 (JAR)
+// signature; apksigner, when on the PATH, also reads v2/v3-only APKs.
+async function readArtifactCertificates(artifactPath) {
+    const keytoolOutput = await readToolOutput('keytool', ['-printcert', '-jarfile', artifactPath]);
+    if (keytoolOutput && /Owner:|Signer #/.test(keytoolOutput)) {
+        return keytoolOutput;
+    }
+    if (artifactPath.endsWith('.apk')) {
+        const apksignerOutput = await readToolOutput('apksigner', ['verify', '--print-certs', artifactPath]);
+        if (apksignerOutput && /certificate DN:/.test(apksignerOutput)) {
+            return apksignerOutput;
+        }
+    }
+    return null;
+}
+
+// SHA-256 fingerprints, as lowercase hex, of the certificates printed by
+// keytool ("SHA256: AB:CD:...") or apksigner ("certificate SHA-256 digest: abcd...")
+function parseCertificateFingerprints(output) {
+    return [...output.matchAll(/(?:SHA-?256:|SHA-256 digest:)\s*([0-9A-Fa-f:]+)/g)]
+        .map(match => match[1].replace(/:/g, '').toLowerCase());
+}
+
+// Fail unless a release artifact is signed with the certificate of the given
+// SHA-256 fingerprint, naming the debug key when that is what signed it
+async function assertSignedWith(artifactPath, expectedSha256) {
+    const certificates = await readArtifactCertificates(artifactPath);
+    if (certificates === null) {
+        console.warn(`Warning: could not read the signing certificate of ${artifactPath}; install apksigner to verify v2-only APKs.`);
+        return;
+    }
+    if (debugCertificateOwner.test(certificates)) {
+        throw new Error(`${artifactPath} is signed with the Android debug key. Check signingConfigs.release and key.properties.`);
+    }
+    const expected = expectedSha256.replace(/:/g, '').toLowerCase();
+    const fingerprints = parseCertificateFingerprints(certificates);
+    if (!fingerprints.includes(expected)) {
+        throw new Error(`${artifactPath} is signed with ${fingerprints.length > 0 ? `SHA-256 ${fingerprints.join(', ')}` : 'an unknown certificate'}, not the bundle's upload key (SHA-256 ${expectedSha256}).`);
+    }
+    console.log(`Verified that ${artifactPath} is signed with the upload key.`);
+}
+
+// Paths of the registry entry for a bundle id (which may not exist yet)
+function keystoreEntryPaths(bundleId) {
+    const dir = path.join(keystoreRegistryDir, bundleId);
+    return {
+        bundleId,
+        dir,
+        keystorePath: path.join(dir, keystoreFileName),
+        propertiesPath: path.join(dir, keyPropertiesFileName),
+        metadataPath: path.join(dir, metadataFileName)
+    };
+}
+
+const propertyEscapes = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+// Undo java.util.Properties escapes: \uXXXX, \t \n \r \f, and \x for any other x
+function unescapeProperty(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (match, escape) => (escape.length === 5
+        ? String.fromCharCode(parseInt(escape.slice(1), 16))
+        : propertyEscapes[escape] || escape));
+}
+
+// Escape a value the way java.util.Properties stores it. Gradle loads
+// key.properties with Properties.load, so a password with a backslash, a
+// leading #, surrounding spaces or non-ASCII characters reaches the signing
+// config exactly as keytool got it.
+function escapePropertyValue(value) {
+    const named = Object.fromEntries(Object.entries(propertyEscapes).map(([letter, char]) => [char, `\\${letter}`]));
+    return String(value).replace(/^ | $|[\\=:#!\t\n\r\f]|[^\x20-\x7e]/g, (char) => {
+        if (named[char]) {
+            return named[char];
+        }
+        const code = char.charCodeAt(0);
+        return code < 0x20 || code > 0x7e ? `\\u${code.toString(16).padStart(4, '0')}` : `\\${char}`;
+    });
+}
+
+// Parse a key.properties file like java.util.Properties: # and ! comments,
+// = or : separators, lines continued with a trailing backslash, escapes
+function readKeyProperties(propertiesPath) {
+    const properties = {};
+    const lines = fs.readFileSync(propertiesPath, 'utf8').split(/\r\n|\r|\n/);
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].replace(/^[ \t\f]+/, '');
+        if (line === '' || line.startsWith('#') || line.startsWith('!')) {
+            continue;
+        }
+        // An odd number of trailing backslashes continues the line
+        while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+            line = line.slice(0, -1) + lines[++i].replace(/^[ \t\f]+/, '');
+        }
+        const match = line.match(/^((?:\\[\s\S]|[^=:\s\\])*)[ \t\f]*[=:]?[ \t\f]*([\s\S]*)$/);
+        properties[unescapeProperty(match[1])] = unescapeProperty(match[2]);
+    }
+    return properties;
+}
+
+// The registry entry of a bundle id, or null when it has no key yet
+function getKeystoreEntry(bundleId) {
+    const entry = keystoreEntryPaths(bundleId);
+    if (!fs.existsSync(entry.keystorePath)) {
+        return null;
+    }
+    const metadata = fs.existsSync(entry.metadataPath) ? fs.readJsonSync(entry.metadataPath) : {};
+    const properties = fs.existsSync(entry.propertiesPath) ? readKeyProperties(entry.propertiesPath) : {};
+    return { ...entry, alias: properties.keyAlias || metadata.alias, metadata };
+}
+
+// Every bundle id in the registry
+function listKeystoreEntries() {
+    if (!fs.existsSync(keystoreRegistryDir)) {
+        return [];
+    }
+    return fs.readdirSync(keystoreRegistryDir)
+        .map(getKeystoreEntry)
+        .filter(Boolean);
+}
+
+// Reserve the registry folder of a new entry; an existing key is never replaced
+function prepareKeystoreEntry(bundleId) {
+    const entry = keystoreEntryPaths(bundleId);
+    if (fs.existsSync(entry.keystorePath)) {
+        throw new Error(`A keystore for ${bundleId} already exists at ${entry.keystorePath}. Refusing to overwrite it.`);
+    }
+    fs.ensureDirSync(entry.dir);
+    return entry;
+}
+
+// Write key.properties and metadata for a keystore that is now in the registry
+function registerKeystoreEntry(entry, { alias, password, ...metadata }) {
+    const keyProperties = [
+        `storePassword=${escapePropertyValue(password)}`,
+        `keyPassword=${escapePropertyValue(password)}`,
+        `keyAlias=${escapePropertyValue(alias)}`,
+        `storeFile=../${keystoreFileName}`
+    ].join('\n');
+    fs.writeFileSync(entry.propertiesPath, `${keyProperties}\n`, { encoding: 'utf8', mode: 0o600 });
+    fs.writeJsonSync(entry.metadataPath, { bundleId: entry.bundleId, alias, createdAt: new Date().toISOString(), ...metadata }, { spaces: 2 });
+    return getKeystoreEntry(entry.bundleId);
+}
+
+// Add an existing keystore (e.g. the old shared my-release-key.jks) to the registry
+function importKeystoreEntry(bundleId, keystorePath, propertiesPath) {
+    const entry = prepareKeystoreEntry(bundleId);
+    const properties = readKeyProperties(propertiesPath);
+    if (!properties.keyAlias || !properties.storePassword) {
+        throw new Error(`${propertiesPath} must define keyAlias and storePassword.`);
+    }
+    fs.copyFileSync(keystorePath, entry.keystorePath, fs.constants.COPYFILE_EXCL);
+    const lines = fs.readFileSync(propertiesPath, 'utf8').split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .map(line => (/^storeFile\s*=/.test(line) ? `storeFile=../${keystoreFileName}` : line));
+    fs.writeFileSync(entry.propertiesPath, `${lines.join('\n')}\n`, { encoding: 'utf8', mode: 0o600 });
+    fs.writeJsonSync(entry.metadataPath, { bundleId, alias: properties.keyAlias, createdAt: new Date().toISOString(), importedFrom: path.resolve(keystorePath) }, { spaces: 2 });
+    return getKeystoreEntry(bundleId);
+}
+
+// The keystore, alias and password a key.properties file points at. Gradle
+// resolves storeFile from the app module, one level below key.properties.
+function resolveKeyProperties(propertiesPath) {
+    const properties = readKeyProperties(propertiesPath);
+    if (!properties.keyAlias || !properties.storePassword || !properties.storeFile) {
+        throw new Error(`${propertiesPath} must define keyAlias, storePassword and storeFile.`);
+    }
+    return {
+        keystorePath: path.resolve(path.dirname(propertiesPath), 'app', properties.storeFile),
+        alias: properties.keyAlias,
+        password: properties.storePassword
+    };
+}
+
+// Copy a registry entry's keystore and key.properties into the Android project
+function installKeystore(entry, projectDir) {
+    const androidDir = path.join(projectDir, 'android');
+    fs.copyFileSync(entry.keystorePath, path.join(androidDir, keystoreFileName));
+    fs.copyFileSync(entry.propertiesPath, path.join(androidDir, keyPropertiesFileName));
+    console.log(`Installed the ${entry.bundleId} keystore (alias "${entry.alias}") into ${androidDir}`);
+}
+
+// Copy one entry to a folder outside the registry
+function exportKeystoreEntry(bundleId, destinationDir) {
+    const entry = getKeystoreEntry(bundleId);
+    if (!entry) {
+        throw new Error(`No keystore registered for ${bundleId}.`);
+    }
+    const destination = path.join(path.resolve(destinationDir), bundleId);
+    if (fs.existsSync(destination)) {
+        throw new Error(`${destination} already exists. Refusing to overwrite it.`);
+    }
+    fs.copySync(entry.dir, destination, { errorOnExist: true, overwrite: false });
+    return destination;
+}
+
+// Copy the whole registry to a timestamped folder
+function backupKeystoreRegistry(destinationDir) {
+    if (listKeystoreEntries().length === 0) {
+        throw new Error(`The keystore registry at ${keystoreRegistryDir} is empty.`);
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const destination = path.join(path.resolve(destinationDir), `keystores-${stamp}`);
+    fs.copySync(keystoreRegistryDir, destination, { errorOnExist: true, overwrite: false });
+    return destination;
+}
+
+module.exports = {
+    keystoreRegistryDir,
+    keystoreFileName,
+    checkKeytoolInstalled,
+    generateKeystoreFile,
+    readKeystoreInfo,
+    exportUploadCertificate,
+    readArtifactCertificates,
+    assertSignedWith,
+    readKeyProperties,
+    resolveKeyProperties,
+    getKeystoreEntry,
+    listKeystoreEntries,
+    prepareKeystoreEntry,
+    registerKeystoreEntry,
+    importKeystoreEntry,
+    installKeystore,
+    exportKeystoreEntry,
+    backupKeystoreRegistry
+};
@@ -0,0 +1,407 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { writeTextFile } = require('./rewrite');
+
+// project.pbxproj is an old-style (OpenStep) property list. It is parsed into
+// nodes that remember their position in the text; every edit splices the
+// text and parses it again, so Xcode's layout and comments stay as they are.
+
+// Characters Xcode writes without quotes
+const unquotedPattern = /^[A-Za-z0-9_$/:.-]+$/;
+
+const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+function parseError(filePath, text, pos, message) {
+    const line = text.slice(0, pos).split('\n').length;
+    return new Error(`Cannot parse ${filePath || 'project.pbxproj'} (line ${line}): ${message}`);
+}
+
+// Recursive descent over dicts { k = v; }, arrays ( v, ) and strings
+function parseOpenStep(text, filePath) {
+    let pos = 0;
+
+    const skip = () => {
+        for (;;) {
+            const rest = text.slice(pos, pos + 2);
+            if (/^\s/.test(rest)) {
+                pos++;
+            } else if (rest === '//') {
+                const end = text.indexOf('\n', pos);
+                pos = end < 0 ? text.length : end + 1;
+            } else if (rest === '/*') {
+                const end = text.indexOf('*/', pos + 2);
+                if (end < 0) {
+                    throw parseError(filePath, text, pos, 'unterminated comment');
+                }
+                pos = end + 2;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const expect = (char) => {
+        skip();
+        if (text[pos] !== char) {
+            throw parseError(filePath, text, pos, `expected "${char}", found "${text.slice(pos, pos + 20)}"`);
+        }
+        pos++;
+    };
+
+    const parseString = () => {
+        skip();
+        const start = pos;
+        if (text[pos] === '"') {
+            let value = '';
+            pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\') {
+                    const next = text[pos + 1];
+                    value += escapes[next] !== undefined ? escapes[next] : next;
+                    pos += 2;
+                } else {
+                    value += text[pos++];
+                }
+            }
+            if (pos >= text.length) {
+                throw parseError(filePath, text, start, 'unterminated string');
+            }
+            pos++;
+            return { type: 'string', value, start, end: pos };
+        }
+        const match = text.slice(pos).match(/^(?:[^\s;,=(){}"/]|\/(?![/*]))+/);
+        if (!match) {
+            throw parseError(filePath, text, pos, `unexpected "${text.slice(pos, pos + 20)}"`);
+        }
+        pos += match[0].length;
+        return { type: 'string', value: match[0], start, end: pos };
+    };
+
+    const parseValue = () => {
+        skip();
+        const start = pos;
+        if (text[pos] === '{') {
+            pos++;
+            const entries = [];
+            for (skip(); text[pos] !== '}'; skip()) {
+                const key = parseString();
+                expect('=');
+                const value = parseValue();
+                expect(';');
+                entries.push({ key: key.value, start: key.start, end: pos, value });
+            }
+            pos++;
+            return { type: 'dict', entries, start, end: pos };
+        }
+        if (text[pos] === '(') {
+            pos++;
+            const items = [];
+            for (skip(); text[pos] !== ')'; skip()) {
+                const value = parseValue();
+                skip();
+                if (text[pos] === ',') {
+                    pos++;
+                }
+                items.push({ start: value.start, end: pos, value });
+            }
+            pos++;
+            return { type: 'array', items, start, end: pos };
+        }
+        return parseString();
+    };
+
+    const root = parseValue();
+    skip();
+    if (pos < text.length) {
+        throw parseError(filePath, text, pos, 'unexpected content after the root object');
+    }
+    return root;
+}
+
+function quote(value) {
+    const text = String(value);
+    if (unquotedPattern.test(text)) {
+        return text;
+    }
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t')}"`;
+}
+
+function entry(dict, key) {
+    return dict && dict.type === 'dict' ? dict.entries.find(candidate => candidate.key === key) : undefined;
+}
+
+function stringValue(dict, key) {
+    const found = entry(dict, key);
+    return found && found.value.type === 'string' ? found.value.value : undefined;
+}
+
+function lineStart(text, index) {
+    return text.lastIndexOf('\n', index - 1) + 1;
+}
+
+function lineIndent(text, index) {
+    return text.slice(lineStart(text, index)).match(/^[ \t]*/)[0];
+}
+
+// Read the project and index its objects by id
+function openProject(filePath) {
+    const project = { filePath, text: fs.readFileSync(filePath, 'utf8') };
+    reparse(project);
+    return project;
+}
+
+function reparse(project) {
+    project.root = parseOpenStep(project.text, project.filePath);
+    const objects = entry(project.root, 'objects');
+    if (!objects || objects.value.type !== 'dict') {
+        throw new Error(`${project.filePath} has no objects dictionary.`);
+    }
+    project.objects = new Map(objects.value.entries.map(object => [object.key, object]));
+}
+
+function splice(project, start, end, replacement) {
+    project.text = project.text.slice(0, start) + replacement + project.text.slice(end);
+    reparse(project);
+}
+
+function saveProject(project) {
+    writeTextFile(project.filePath, project.text);
+}
+
+function getObject(project, id) {
+    const object = project.objects.get(id);
+    return object ? object.value : undefined;
+}
+
+// Objects of one isa, as [id, dict] pairs
+function objectsOfType(project, isa) {
+    return [...project.objects.entries()]
+        .filter(([, object]) => stringValue(object.value, 'isa') === isa)
+        .map(([id, object]) => [id, object.value]);
+}
+
+// The native target with the given name (Runner by default)
+function findNativeTarget(project, name = 'Runner', { optional = false } = {}) {
+    const found = objectsOfType(project, 'PBXNativeTarget').find(([, target]) => stringValue(target, 'name') === name);
+    if (!found) {
+        if (optional) {
+            return null;
+        }
+        throw new Error(`No native target named "${name}" in ${project.filePath}`);
+    }
+    return found[0];
+}
+
+// Ids of a target's build configurations by name (Debug, Release, Profile)
+function targetConfigurations(project, targetId) {
+    const listId = stringValue(getObject(project, targetId), 'buildConfigurationList');
+    const list = entry(getObject(project, listId), 'buildConfigurations');
+    if (!list) {
+        throw new Error(`Target ${targetId} has no build configuration list in ${project.filePath}`);
+    }
+    return Object.fromEntries(list.value.items.map(item => {
+        const id = item.value.value;
+        return [stringValue(getObject(project, id), 'name'), id];
+    }));
+}
+
+function getBuildSetting(project, configurationId, key) {
+    return stringValue(entry(getObject(project, configurationId), 'buildSettings').value, key);
+}
+
+// Set (or with `null` remove) one build setting of one configuration. New
+// settings are inserted in Xcode's alphabetical order.
+function setBuildSetting(project, configurationId, key, value) {
+    const buildSettings = entry(getObject(project, configurationId), 'buildSettings');
+    if (!buildSettings || buildSettings.value.type !== 'dict') {
+        throw new Error(`Build configuration ${configurationId} has no buildSettings in ${project.filePath}`);
+    }
+    const settings = buildSettings.value;
+    const existing = entry(settings, key);
+
+    if (value === null) {
+        if (existing) {
+            const start = lineStart(project.text, existing.start);
+            splice(project, start, project.text.indexOf('\n', existing.end) + 1, '');
+            return 'removed';
+        }
+        return 'unchanged';
+    }
+
+    if (existing) {
+        if (existing.value.type === 'string' && existing.value.value === String(value)) {
+            return 'unchanged';
+        }
+        splice(project, existing.value.start, existing.value.end, quote(value));
+        return 'set';
+    }
+
+    const indent = settings.entries.length > 0
+        ? lineIndent(project.text, settings.entries[0].start)
+        : `${lineIndent(project.text, settings.start)}\t`;
+    const next = settings.entries.find(candidate => candidate.key > key);
+    const insertAt = next ? lineStart(project.text, next.start) : lineStart(project.text, settings.end - 1);
+    splice(project, insertAt, insertAt, `${indent}${quote(key)} = ${quote(value)};\n`);
+    return 'added';
+}
+
+// Apply several build settings to every listed configuration. Settings named
+// in `keepVariables` are left alone while they refer to another build setting
+// such as $(FLUTTER_BUILD_NUMBER), and a configuration that lacks one gets
+// that same reference, so Debug, Release and Profile never disagree.
+function setBuildSettings(project, configurationIds, settings, { keepVariables = [] } = {}) {
+    for (const [key, value] of Object.entries(settings)) {
+        if (value === undefined) {
+            continue;
+        }
+        const reference = keepVariables.includes(key)
+            ? configurationIds.map(id => getBuildSetting(project, id, key)).find(current => current && current.includes('$('))
+            : undefined;
+        for (const id of configurationIds) {
+            setBuildSetting(project, id, key, reference || value);
+        }
+    }
+}
+
+// Remove object entries and every array item that refers to them
+function removeObjects(project, ids) {
+    const idSet = new Set(ids);
+    const ranges = [];
+    const collect = (node) => {
+        if (node.type === 'dict') {
+            for (const child of node.entries) {
+                if (idSet.has(child.key)) {
+                    ranges.push([lineStart(project.text, child.start), project.text.indexOf('\n', child.end) + 1]);
+                } else {
+                    collect(child.value);
+                }
+            }
+        } else if (node.type === 'array') {
+            for (const item of node.items) {
+                if (item.value.type === 'string' && idSet.has(item.value.value)) {
+                    const start = lineStart(project.text, item.start);
+                    const ownLine = project.text.slice(start, item.start).trim() === '';
+                    ranges.push(ownLine ? [start, project.text.indexOf('\n', item.end) + 1] : [item.start, item.end]);
+                } else {
+                    collect(item.value);
+                }
+            }
+        }
+    };
+    collect(project.root);
+
+    // Splice from the end so earlier offsets stay valid
+    ranges.sort((a, b) => b[0] - a[0]);
+    let text = project.text;
+    for (const [start, end] of ranges) {
+        text = text.slice(0, start) + text.slice(end);
+    }
+    project.text = text;
+    reparse(project);
+    return ranges.length;
+}
+
+// Remove a file (by file name) from the project: its file reference, its build
+// files, and its entries in groups and build phases
+function removeFileReference(project, fileName) {
+    const fileRefs = objectsOfType(project, 'PBXFileReference')
+        .filter(([, ref]) => [stringValue(ref, 'path'), stringValue(ref, 'name')].some(value => value && value.split('/').pop() === fileName))
+        .map(([id]) => id);
+    if (fileRefs.length === 0) {
+        return 0;
+    }
+    const buildFiles = objectsOfType(project, 'PBXBuildFile')
+        .filter(([, buildFile]) => fileRefs.includes(stringValue(buildFile, 'fileRef')))
+        .map(([id]) => id);
+    removeObjects(project, [...fileRefs, ...buildFiles]);
+    return fileRefs.length;
+}
+
+// Stable 24 hex digit object id, like the ones Xcode generates
+function generateId(project, seed) {
+    for (let attempt = 0; ; attempt++) {
+        const id = crypto.createHash('sha1').update(`${seed}:${attempt}`).digest('hex').slice(0, 24).toUpperCase();
+        if (!project.objects.has(id)) {
+            return id;
+        }
+    }
+}
+
+// Insert a one-line object at the end of its isa's section
+function insertObject(project, isa, id, comment, fields) {
+    const body = Object.entries(fields).map(([key, value]) => `${key} = ${value}; `).join('');
+    const line = `\t\t${id} /* ${comment} */ = {${body}};\n`;
+    const endMarker = `/* End ${isa} section */`;
+    const end = project.text.indexOf(endMarker);
+    if (end >= 0) {
+        const at = lineStart(project.text, end);
+        splice(project, at, at, line);
+    } else {
+        const objects = entry(project.root, 'objects').value;
+        const at = lineStart(project.text, objects.end - 1);
+        splice(project, at, at, `\n/* Begin ${isa} section */\n${line}${endMarker}\n`);
+    }
+}
+
+// Append an id to an array property of an object
+function appendToArray(project, ownerId, key, id, comment) {
+    const array = entry(getObject(project, ownerId), key);
+    if (!array || array.value.type !== 'array') {
+        throw new Error(`Object ${ownerId} has no ${key} list in ${project.filePath}`);
+    }
+    const closing = array.value.end - 1;
+    const indent = array.value.items.length > 0
+        ? lineIndent(project.text, array.value.items[0].start)
+        : `${lineIndent(project.text, array.start)}\t`;
+    const at = lineStart(project.text, closing);
+    splice(project, at, at, `${indent}${id} /* ${comment} */,\n`);
+}
+
+// Add a file to a group and, optionally, to one of the target's build phases
+// (e.g. PBXResourcesBuildPhase). `filePath` is relative to the group.
+function addFileReference(project, { filePath, groupPath = 'Runner', fileType = 'text', targetId, buildPhase }) {
+    const name = filePath.split('/').pop();
+    const group = objectsOfType(project, 'PBXGroup')
+        .find(([, candidate]) => stringValue(candidate, 'path') === groupPath || stringValue(candidate, 'name') === groupPath);
+    if (!group) {
+        throw new Error(`No group "${groupPath}" in ${project.filePath}`);
+    }
+
+    const fileRefId = generateId(project, `fileRef:${groupPath}/${filePath}`);
+    insertObject(project, 'PBXFileReference', fileRefId, name, {
+        isa: 'PBXFileReference',
+        lastKnownFileType: quote(fileType),
+        path: quote(filePath),
+        sourceTree: quote('<group>')
+    });
+    appendToArray(project, group[0], 'children', fileRefId, name);
+
+    if (targetId && buildPhase) {
+        const phaseIds = entry(getObject(project, targetId), 'buildPhases').value.items.map(item => item.value.value);
+        const phaseId = phaseIds.find(id => stringValue(getObject(project, id), 'isa') === buildPhase);
+        if (!phaseId) {
+            throw new Error(`Target ${targetId} has no ${buildPhase} in ${project.filePath}`);
+        }
+        const phaseName = buildPhase.replace(/^PBX|BuildPhase$/g, '');
+        const buildFileId = generateId(project, `buildFile:${groupPath}/${filePath}`);
+        insertObject(project, 'PBXBuildFile', buildFileId, `${name} in ${phaseName}`, {
+            isa: 'PBXBuildFile',
+            fileRef: `${fileRefId} /* ${name} */`
+        });
+        appendToArray(project, phaseId, 'files', buildFileId, `${name} in ${phaseName}`);
+    }
+    return fileRefId;
+}
+
+module.exports = {
+    parseOpenStep,
+    openProject,
+    saveProject,
+    findNativeTarget,
+    targetConfigurations,
+    getBuildSetting,
+    setBuildSetting,
+    setBuildSettings,
+    removeFileReference,
+    addFileReference
+};
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const { writeTextFile } = require('./rewrite');
+
+// XML property lists are parsed into nodes that remember where they sit in
+// the source text. Edits splice new text into the original, so everything
+// that is not changed round-trips byte for byte.
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function unescapeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return entities[entity] !== undefined ? entities[entity] : match;
+    });
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const scalarTypes = ['string', 'integer', 'real', 'date', 'data'];
+
+// Recursive descent over the plist XML
+function createParser(text, filePath) {
+    let pos = 0;
+
+    const fail = (message) => {
+        const line = text.slice(0, pos).split('\n').length;
+        throw new Error(`Cannot parse ${filePath || 'property list'} (line ${line}): ${message}`);
+    };
+
+    // Whitespace, comments, the XML declaration and the doctype
+    const skipMisc = () => {
+        for (;;) {
+            const rest = text.slice(pos);
+            const skipped = rest.match(/^(\s+|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>)/);
+            if (!skipped) {
+                return;
+            }
+            pos += skipped[0].length;
+        }
+    };
+
+    const readTag = () => {
+        skipMisc();
+        const match = text.slice(pos).match(/^<(\/?)([\w]+)[^>]*?(\/?)>/);
+        if (!match) {
+            fail(`expected a tag, found "${text.slice(pos, pos + 20)}"`);
+        }
+        const tag = { start: pos, end: pos + match[0].length, name: match[2], closing: match[1] === '/', selfClosing: match[3] === '/' };
+        pos = tag.end;
+        return tag;
+    };
+
+    const readText = (name) => {
+        const close = text.indexOf(`</${name}>`, pos);
+        if (close < 0) {
+            fail(`<${name}> is never closed`);
+        }
+        const raw = text.slice(pos, close);
+        pos = close + name.length + 3;
+        return raw;
+    };
+
+    const parseValue = (tag = readTag()) => {
+        const node = { type: tag.name, start: tag.start };
+        if (tag.name === 'true' || tag.name === 'false') {
+            if (!tag.selfClosing) {
+                readTag();
+            }
+        } else if (scalarTypes.includes(tag.name)) {
+            node.raw = tag.selfClosing ? '' : readText(tag.name);
+        } else if (tag.name === 'dict') {
+            node.entries = [];
+            if (!tag.selfClosing) {
+                for (let next = readTag(); !(next.closing && next.name === 'dict'); next = readTag()) {
+                    if (next.name !== 'key' || next.closing) {
+                        fail(`expected <key> in <dict>, found <${next.name}>`);
+                    }
+                    const keyStart = next.start;
+                    const key = unescapeXml(readText('key'));
+                    node.entries.push({ key, keyStart, value: parseValue() });
+                }
+                node.closeStart = pos - '</dict>'.length;
+            }
+        } else if (tag.name === 'array') {
+            node.items = [];
+            if (!tag.selfClosing) {
+                for (let next = readTag(); !(next.closing && next.name === 'array'); next = readTag()) {
+                    node.items.push(parseValue(next));
+                }
+            }
+        } else {
+            fail(`unexpected <${tag.name}>`);
+        }
+        node.end = pos;
+        return node;
+    };
+
+    return {
+        parse() {
+            const plistTag = readTag();
+            if (plistTag.name !== 'plist') {
+                fail('the root element must be <plist>');
+            }
+            const root = parseValue();
+            const close = readTag();
+            if (!close.closing || close.name !== 'plist') {
+                fail('expected </plist>');
+            }
+            return root;
+        }
+    };
+}
+
+// Parse the XML of a property list into its root node
+function parsePlist(text, filePath) {
+    return createParser(text, filePath).parse();
+}
+
+// Plain JavaScript value of a node
+function nodeToValue(node) {
+    switch (node.type) {
+        case 'true': return true;
+        case 'false': return false;
+        case 'integer': return parseInt(node.raw.trim(), 10);
+        case 'real': return parseFloat(node.raw.trim());
+        case 'dict': return Object.fromEntries(node.entries.map(entry => [entry.key, nodeToValue(entry.value)]));
+        case 'array': return node.items.map(nodeToValue);
+        default: return unescapeXml(node.raw);
+    }
+}
+
+// XML for a JavaScript value; nested values are indented one `unit` per level
+function valueToXml(value, indent, unit) {
+    if (typeof value === 'boolean') {
+        return value ? '<true/>' : '<false/>';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? `<integer>${value}</integer>` : `<real>${value}</real>`;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            return '<array/>';
+        }
+        const items = value.map(item => `${indent}${unit}${valueToXml(item, indent + unit, unit)}\n`);
+        return `<array>\n${items.join('')}${indent}</array>`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).map(([key, item]) =>
+            `${indent}${unit}<key>${escapeXml(key)}</key>\n${indent}${unit}${valueToXml(item, indent + unit, unit)}\n`);
+        return entries.length === 0 ? '<dict/>' : `<dict>\n${entries.join('')}${indent}</dict>`;
+    }
+    return `<string>${escapeXml(value)}</string>`;
+}
+
+function lineIndent(text, index) {
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function isBuildSettingReference(node) {
+    return node.type === 'string' && /\$\([^)]+\)|\$\{[^}]+\}/.test(node.raw);
+}
+
+// Set one key of the top-level dict. Returns the new text and what was done.
+function setTopLevelValue(text, key, value, { keepVariables = false, filePath } = {}) {
+    const root = parsePlist(text, filePath);
+    if (root.type !== 'dict' || root.closeStart === undefined) {
+        throw new Error(`${filePath || 'Property list'} does not have a top-level <dict> with entries.`);
+    }
+
+    const entry = root.entries.find(candidate => candidate.key === key);
+    if (entry) {
+        if (keepVariables && isBuildSettingReference(entry.value)) {
+            return { text, action: 'kept', current: entry.value.raw };
+        }
+        // A number replacing a <string> stays a string: CFBundleVersion and
+        // the like must not turn into <integer>
+        if (entry.value.type === 'string' && typeof value === 'number') {
+            value = String(value);
+        }
+        if (JSON.stringify(nodeToValue(entry.value)) === JSON.stringify(value)) {
+            return { text, action: 'unchanged' };
+        }
+        const indent = lineIndent(text, entry.value.start);
+        const unit = indent.includes('\t') ? '\t' : '    ';
+        const xml = valueToXml(value, indent, unit);
+        return { text: text.slice(0, entry.value.start) + xml + text.slice(entry.value.end), action: 'set' };
+    }
+
+    // New keys go at the end of the dict, indented like their siblings
+    const closeIndent = lineIndent(text, root.closeStart);
+    const entryIndent = root.entries.length > 0 ? lineIndent(text, root.entries[0].keyStart) : `${closeIndent}\t`;
+    const unit = entryIndent.slice(closeIndent.length) || '\t';
+    const lineStart = text.lastIndexOf('\n', root.closeStart - 1) + 1;
+    const onOwnLine = text.slice(lineStart, root.closeStart).trim() === '';
+    const insertAt = onOwnLine ? lineStart : root.closeStart;
+    const addition = `${onOwnLine ? '' : '\n'}${entryIndent}<key>${escapeXml(key)}</key>\n${entryIndent}${valueToXml(value, entryIndent, unit)}\n${onOwnLine ? '' : closeIndent}`;
+    return { text: text.slice(0, insertAt) + addition + text.slice(insertAt), action: 'added' };
+}
+
+// A complete plist document for a value, laid out the way Xcode writes it
+function buildPlist(value) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+        '<plist version="1.0">',
+        valueToXml(value, '', '\t'),
+        '</plist>',
+        ''
+    ].join('\n');
+}
+
+// Read the top-level values of a plist file as a plain object
+function readPlist(filePath) {
+    return nodeToValue(parsePlist(fs.readFileSync(filePath, 'utf8'), filePath));
+}
+
+// Set top-level keys of a plist file. Keys listed in `keepVariables` are left
+// alone while they hold a build setting such as $(FLUTTER_BUILD_NAME).
+function updatePlist(filePath, values, { keepVariables = [] } = {}) {
+    let text = fs.readFileSync(filePath, 'utf8');
+    const results = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const result = setTopLevelValue(text, key, value, { keepVariables: keepVariables.includes(key), filePath });
+        text = result.text;
+        results[key] = result.action === 'kept' ? `kept ${result.current}` : result.action;
+    }
+    writeTextFile(filePath, text);
+    return results;
+}
+
+module.exports = { parsePlist, nodeToValue, valueToXml, buildPlist, readPlist, updatePlist };
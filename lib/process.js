@@ -0,0 +1,138 @@
+const { spawn } = require('child_process');
+
+// Children still running, killed together on Ctrl-C
+const runningChildren = new Set();
+
+// Characters of stderr kept for the error message of a failed step
+const stderrTailLength = 4000;
+
+// Time a killed child gets to exit before it is killed hard
+const killGracePeriod = 5000;
+
+let interruptHandlerInstalled = false;
+let interrupted = false;
+
+function killChildren(signal) {
+    for (const child of runningChildren) {
+        child.kill(signal);
+    }
+}
+
+// Forward Ctrl-C to every child and exit once they are gone, so no
+// flutter/gradle/xcodebuild keeps writing into the project. A child that
+// does not stop in time, or a second Ctrl-C, kills them hard.
+function installInterruptHandler() {
+    if (interruptHandlerInstalled) {
+        return;
+    }
+    interruptHandlerInstalled = true;
+    process.on('SIGINT', () => {
+        if (interrupted || runningChildren.size === 0) {
+            killChildren('SIGKILL');
+            process.exit(130);
+        }
+        interrupted = true;
+        console.error('\nInterrupted, waiting for running processes to stop...');
+        killChildren('SIGINT');
+        setTimeout(() => killChildren('SIGKILL'), killGracePeriod).unref();
+    });
+}
+
+// Replace every secret in a text with ****
+function redact(text, secrets = []) {
+    return secrets
+        .filter(secret => typeof secret === 'string' && secret !== '')
+        .reduce((result, secret) => result.split(secret).join('****'), text);
+}
+
+// Command line as it is shown in logs and errors
+function formatCommand(command, args, secrets = []) {
+    const quote = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`);
+    return redact([command, ...args].map(arg => quote(String(arg))).join(' '), secrets);
+}
+
+// Run one external program without a shell. Output is streamed to the
+// console (unless `quiet`) and captured; the promise rejects with the exit
+// code and the end of stderr when the program fails, is missing or runs
+// longer than `timeout` milliseconds. With `allowFailure` a non-zero exit
+// code resolves instead, for callers that inspect the output themselves.
+function runProcess(command, args = [], options = {}) {
+    const { cwd, env, timeout = 0, secrets = [], quiet = false, allowFailure = false, label = command } = options;
+    const commandLine = formatCommand(command, args, secrets);
+    if (!quiet) {
+        console.log(`$ ${commandLine}`);
+    }
+
+    installInterruptHandler();
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args.map(String), { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+        runningChildren.add(child);
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        let killTimer = null;
+
+        const timer = timeout > 0 && setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), killGracePeriod);
+        }, timeout);
+
+        child.stdout.on('data', (data) => {
+            const text = redact(data.toString(), secrets);
+            stdout += text;
+            if (!quiet) {
+                process.stdout.write(text);
+            }
+        });
+        child.stderr.on('data', (data) => {
+            const text = redact(data.toString(), secrets);
+            stderr += text;
+            if (!quiet) {
+                process.stderr.write(text);
+            }
+        });
+
+        const finish = (error, exitCode) => {
+            runningChildren.delete(child);
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            // Stop here rather than let the script go on to its next step
+            if (interrupted && runningChildren.size === 0) {
+                process.exit(130);
+            }
+            if (error) {
+                Object.assign(error, { command: commandLine, exitCode, stdout, stderr });
+                reject(error);
+            } else {
+                resolve({ exitCode, stdout, stderr });
+            }
+        };
+
+        child.on('error', (error) => {
+            const message = error.code === 'ENOENT'
+                ? `${label} failed: ${command} was not found on the PATH.`
+                : `${label} failed to start: ${error.message}`;
+            finish(Object.assign(new Error(message), { code: error.code }), null);
+        });
+
+        child.on('close', (exitCode, signal) => {
+            if (timedOut) {
+                finish(new Error(`${label} timed out after ${Math.round(timeout / 1000)}s: ${commandLine}`), exitCode);
+            } else if (exitCode === 0 || (allowFailure && exitCode !== null)) {
+                finish(null, exitCode);
+            } else {
+                const status = exitCode === null ? `was killed by ${signal}` : `exited with code ${exitCode}`;
+                const tail = stderr.trim().slice(-stderrTailLength);
+                finish(new Error(`${label} ${status}: ${commandLine}${tail ? `\n${tail}` : ''}`), exitCode);
+            }
+        });
+    });
+}
+
+// Step timeouts are given in minutes in the scripts
+function minutes(count) {
+    return count * 60 * 1000;
+}
+
+module.exports = { runProcess, formatCommand, redact, minutes };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess, minutes } = require('./process');
+
+// Android and iOS builds of a version share its release folder, so each
+// platform writes its own manifest; a Debug build's gets a suffix. Folders
+// from before hold a single release.json, which is still verified.
+const manifestFilePattern = /^release(-[a-z]+)*\.json$/;
+
+function manifestFileName(platform, buildMode) {
+    return `release-${platform}${buildMode === 'Release' ? '' : `-${buildMode.toLowerCase()}`}.json`;
+}
+
+// Manifest files in a release folder, sorted
+function findReleaseManifests(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        return [];
+    }
+    return fs.readdirSync(dir).filter(name => manifestFilePattern.test(name)).sort();
+}
+
+// Output of a tool, or null when it cannot be run or fails
+async function readToolOutput(command, args, cwd) {
+    try {
+        const { exitCode, stdout } = await runProcess(command, args, { cwd, quiet: true, allowFailure: true, timeout: minutes(2) });
+        return exitCode === 0 ? stdout.trim() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Commit and dirty state of the source folder, or null outside a git checkout
+async function readGitState(sourceDir) {
+    const commit = await readToolOutput('git', ['rev-parse', 'HEAD'], sourceDir);
+    if (!commit) {
+        return null;
+    }
+    const status = await readToolOutput('git', ['status', '--porcelain'], sourceDir);
+    return { commit, dirty: status === null ? null : status !== '' };
+}
+
+// `flutter --version` as printed, or null when flutter cannot be run
+function readFlutterVersion() {
+    return readToolOutput('flutter', ['--version']);
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Files below a folder, relative and sorted so the order never changes
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .flatMap(entry => {
+            const relativePath = path.posix.join(prefix, entry.name);
+            return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+        });
+}
+
+// SHA-256 and size of an artifact. A folder (.xcarchive, .app) is hashed
+// over the path and hash of each of its files.
+async function describeArtifact(artifactPath) {
+    if (!fs.statSync(artifactPath).isDirectory()) {
+        return { size: fs.statSync(artifactPath).size, sha256: await hashFile(artifactPath) };
+    }
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    for (const relativePath of listFiles(artifactPath)) {
+        const filePath = path.join(artifactPath, relativePath);
+        size += fs.lstatSync(filePath).size;
+        hash.update(`${relativePath}\0${fs.lstatSync(filePath).isSymbolicLink() ? `link:${fs.readlinkSync(filePath)}` : await hashFile(filePath)}\n`);
+    }
+    return { size, sha256: hash.digest('hex') };
+}
+
+// Write the platform's manifest into a release folder: what was built, from
+// which source and toolchain, signed with which key, and the checksum of every
+// artifact. Returns its path.
+async function writeReleaseManifest(dir, { artifacts, sourceDir, startedAt, ...details }) {
+    const manifest = {
+        ...details,
+        source: { path: sourceDir, ...(await readGitState(sourceDir)) },
+        flutterVersion: await readFlutterVersion(),
+        artifacts: [],
+        startedAt: startedAt.toISOString(),
+        finishedAt: null
+    };
+    for (const artifactPath of artifacts) {
+        manifest.artifacts.push({ file: path.relative(dir, artifactPath), ...(await describeArtifact(artifactPath)) });
+    }
+    manifest.finishedAt = new Date().toISOString();
+
+    const manifestPath = path.join(dir, manifestFileName(details.platform, details.buildMode));
+    fs.writeJsonSync(manifestPath, manifest, { spaces: 2 });
+    console.log(`Release manifest written to ${manifestPath}`);
+    return manifestPath;
+}
+
+// Hash the artifacts a manifest lists again and compare them with it. Returns
+// one result per artifact, with `problem` set when it is missing or changed.
+async function verifyReleaseManifest(manifestPath) {
+    const dir = path.dirname(manifestPath);
+    const manifest = fs.readJsonSync(manifestPath);
+    const results = [];
+    for (const artifact of manifest.artifacts || []) {
+        const artifactPath = path.join(dir, artifact.file);
+        if (!fs.existsSync(artifactPath)) {
+            results.push({ ...artifact, problem: 'missing' });
+            continue;
+        }
+        const actual = await describeArtifact(artifactPath);
+        const problem = actual.sha256 !== artifact.sha256
+            ? `SHA-256 is ${actual.sha256}`
+            : actual.size !== artifact.size ? `size is ${actual.size}` : null;
+        results.push({ ...artifact, problem });
+    }
+    return { manifest, results };
+}
+
+module.exports = { manifestFileName, findReleaseManifests, writeReleaseManifest, verifyReleaseManifest };
@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+
+// Every edit of the copied project goes through this module. The journal
+// remembers what each file looked like before it was first touched, so a dry
+// run can print the changes, and which replacements did not match as expected.
+const journal = {
+    files: new Map(), // current path -> { originalPath, before }
+    binaries: new Set(),
+    mismatches: [],
+    strict: true
+};
+
+// Lines shown around a failed replacement
+const contextLines = 2;
+
+// Start a fresh journal for a new run. A strict run aborts on the first
+// replacement whose match count is off; otherwise mismatches are collected.
+function resetJournal({ strict = true } = {}) {
+    journal.files.clear();
+    journal.binaries.clear();
+    journal.mismatches = [];
+    journal.strict = strict;
+}
+
+function getJournal() {
+    return journal;
+}
+
+// Remember the content of a file before its first change
+function track(filePath) {
+    if (!journal.files.has(filePath)) {
+        const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        journal.files.set(filePath, { originalPath: filePath, before });
+    }
+}
+
+// Write a text file, creating it if needed
+function writeTextFile(filePath, content) {
+    track(filePath);
+    fs.ensureFileSync(filePath);
+    fs.writeFileSync(filePath, content, 'utf8');
+}
+
+// Move a file; its diff is then reported under the new path
+function moveFile(fromPath, toPath) {
+    track(fromPath);
+    const entry = journal.files.get(fromPath);
+    journal.files.delete(fromPath);
+    journal.files.set(toPath, entry);
+    fs.moveSync(fromPath, toPath);
+}
+
+// Note a generated binary file (icons) that cannot be shown as a diff
+function recordBinaryFile(filePath) {
+    journal.binaries.add(filePath);
+}
+
+function globalPattern(pattern) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    return new RegExp(pattern.source, flags);
+}
+
+// Count every occurrence of a pattern, whether or not it has the g flag
+function countMatches(content, pattern) {
+    return (content.match(globalPattern(pattern)) || []).length;
+}
+
+// `count` is an exact number of matches, or '?' (zero or one), '+' (one or
+// more) or '*' (any number, for edits that are allowed to find nothing)
+function countIsExpected(count, found) {
+    switch (count) {
+        case '*': return true;
+        case '+': return found >= 1;
+        case '?': return found <= 1;
+        default: return found === count;
+    }
+}
+
+function describeCount(count) {
+    switch (count) {
+        case '+': return 'at least 1 match';
+        case '?': return 'at most 1 match';
+        default: return count === 1 ? '1 match' : `${count} matches`;
+    }
+}
+
+// Line numbers of every match, or of the lines mentioning the anchor when
+// nothing matched
+function linesOfInterest(content, pattern, anchor) {
+    const lineOf = (index) => content.slice(0, index).split('\n').length - 1;
+    const matched = [...content.matchAll(globalPattern(pattern))].map(match => lineOf(match.index));
+    if (matched.length > 0) {
+        return matched;
+    }
+    return content.split('\n')
+        .map((line, index) => (anchor && line.includes(anchor) ? index : -1))
+        .filter(index => index >= 0);
+}
+
+// Numbered lines around the interesting ones, for the error message
+function surroundingLines(content, lineNumbers) {
+    const lines = content.split('\n');
+    const shown = new Set();
+    for (const lineNumber of lineNumbers) {
+        for (let i = Math.max(0, lineNumber - contextLines); i <= Math.min(lines.length - 1, lineNumber + contextLines); i++) {
+            shown.add(i);
+        }
+    }
+
+    const width = String(lines.length).length;
+    const output = [];
+    let previous = -1;
+    for (const index of [...shown].sort((a, b) => a - b)) {
+        if (previous >= 0 && index > previous + 1) {
+            output.push(`  ${' '.repeat(width)} | ...`);
+        }
+        output.push(`  ${String(index + 1).padStart(width)} | ${lines[index]}`);
+        previous = index;
+    }
+    return output;
+}
+
+// Build the report for a replacement that matched the wrong number of times
+function describeMismatch(mismatch) {
+    const { filePath, label, pattern, count, found, context, anchor } = mismatch;
+    const lines = [
+        `${filePath}: ${label} expected ${describeCount(count)}, found ${found}.`,
+        `  pattern: ${pattern}`
+    ];
+    if (context.length > 0) {
+        lines.push(...context);
+    } else if (anchor) {
+        lines.push(`  No line mentions "${anchor}".`);
+    }
+    return lines.join('\n');
+}
+
+// Escape text for a double-quoted XML attribute such as android:label
+function escapeXmlAttribute(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Apply a list of substitutions to a file. Each one is
+// { label, pattern, replacement, count = 1, anchor = label }, where
+// `replacement` is anything String.replace accepts and `anchor` is the text
+// used to find the surrounding lines when the pattern does not match. Pass
+// user values through a function so `$&` or `$1` in them stay literal.
+function replaceInFile(filePath, replacements) {
+    track(filePath);
+    let content = fs.readFileSync(filePath, 'utf8');
+
+    for (const { pattern, replacement, label = String(pattern), count = 1, anchor = label } of replacements) {
+        const found = countMatches(content, pattern);
+        if (!countIsExpected(count, found)) {
+            const context = surroundingLines(content, linesOfInterest(content, pattern, anchor));
+            const mismatch = { filePath, label, pattern, count, found, context, anchor };
+            if (journal.strict) {
+                throw new Error(`Rewrite failed in ${describeMismatch(mismatch)}`);
+            }
+            journal.mismatches.push(mismatch);
+            continue;
+        }
+        content = content.replace(pattern, replacement);
+    }
+
+    fs.writeFileSync(filePath, content, 'utf8');
+    return content;
+}
+
+module.exports = {
+    resetJournal,
+    getJournal,
+    writeTextFile,
+    moveFile,
+    recordBinaryFile,
+    countMatches,
+    describeMismatch,
+    escapeXmlAttribute,
+    replaceInFile
+};
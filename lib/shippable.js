@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { validateBundleId } = require('./flavor');
+const { compareVersions } = require('./versions');
+
+// Built artifacts are kept per bundle id and release:
+// shippable/<bundleId>/<version>+<build>/<AppName>-<version>-<mode>.<ext>
+// `latest` in the bundle folder points at the last Release build. The working
+// copies of the apps (shippable/com_example_app) live next to them.
+const shippableDir = path.join(__dirname, '..', 'shippable');
+const latestName = 'latest';
+const releaseFolderPattern = /^(\d+(?:\.\d+)*)\+(\d+)$/;
+
+// File name of an artifact, e.g. "Canadian-Citizenship-Prep-1.2.0-release.aab"
+function artifactFileName(appName, versionName, buildMode, extension) {
+    const safeName = appName.trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'Runner';
+    return `${safeName}-${versionName}-${buildMode.toLowerCase()}${extension}`;
+}
+
+// Version and build number in a project's pubspec.yaml. Debug builds do not go
+// through the versions ledger and are filed under these.
+function readPubspecVersion(projectDir) {
+    const content = fs.readFileSync(path.join(projectDir, 'pubspec.yaml'), 'utf8');
+    const match = content.match(/^version:[ \t]*([0-9.]+)(?:\+([0-9]+))?/m);
+    return match
+        ? { versionName: match[1], buildNumber: match[2] ? parseInt(match[2], 10) : 0 }
+        : { versionName: '0.0.0', buildNumber: 0 };
+}
+
+function releaseDir(bundleId, versionName, buildNumber) {
+    return path.join(shippableDir, bundleId, `${versionName}+${buildNumber}`);
+}
+
+// Point `latest` at a release folder. Creating symlinks needs extra rights on
+// Windows, so the folder name is written to a plain file there instead.
+function setLatestRelease(bundleId, folderName) {
+    const pointerPath = path.join(shippableDir, bundleId, latestName);
+    fs.removeSync(pointerPath);
+    try {
+        fs.symlinkSync(folderName, pointerPath, 'dir');
+    } catch (error) {
+        fs.writeFileSync(pointerPath, `${folderName}\n`);
+    }
+}
+
+// Folder name `latest` points at, or null
+function readLatestRelease(bundleId) {
+    const pointerPath = path.join(shippableDir, bundleId, latestName);
+    try {
+        return fs.lstatSync(pointerPath).isSymbolicLink()
+            ? path.basename(fs.readlinkSync(pointerPath))
+            : fs.readFileSync(pointerPath, 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Copy build outputs ({ source, extension } or { source, fileName }) into the
+// release folder and, for a Release build, point `latest` at it. Missing
+// outputs are reported and skipped. Returns the stored paths.
+function storeArtifacts({ bundleId, appName, versionName, buildNumber, buildMode }, outputs) {
+    const dir = releaseDir(bundleId, versionName, buildNumber);
+    fs.ensureDirSync(dir);
+
+    const stored = [];
+    for (const { source, extension, fileName } of outputs) {
+        console.log(`Checking build output at: ${source}`);
+        if (!fs.existsSync(source)) {
+            console.error(`Build output not found: ${source}`);
+            continue;
+        }
+        const destination = path.join(dir, fileName || artifactFileName(appName, versionName, buildMode, extension));
+        // An .xcarchive or .app is a folder; replace it rather than merge
+        fs.removeSync(destination);
+        fs.copySync(source, destination);
+        stored.push(destination);
+    }
+    if (stored.length > 0) {
+        if (buildMode === 'Release') {
+            setLatestRelease(bundleId, path.basename(dir));
+        }
+        console.log(`Build output copied to ${dir}:\n  ${stored.map(file => path.basename(file)).join('\n  ')}`);
+    }
+    return stored;
+}
+
+// Bytes taken by a file or folder; symlinks are not followed
+function diskUsage(targetPath) {
+    const stats = fs.lstatSync(targetPath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    return fs.readdirSync(targetPath).reduce((total, name) => total + diskUsage(path.join(targetPath, name)), 0);
+}
+
+// Bundle ids with a folder of releases; the app working copies are named
+// with underscores and left out
+function listShippableBundles() {
+    if (!fs.existsSync(shippableDir)) {
+        return [];
+    }
+    return fs.readdirSync(shippableDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && validateBundleId(entry.name) === true)
+        .map(entry => entry.name)
+        .sort();
+}
+
+// Release folders of a bundle id, highest version and build first, with their
+// size and age
+function listReleases(bundleId) {
+    const bundleDir = path.join(shippableDir, bundleId);
+    if (!fs.existsSync(bundleDir)) {
+        return [];
+    }
+    const latest = readLatestRelease(bundleId);
+    return fs.readdirSync(bundleDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && releaseFolderPattern.test(entry.name))
+        .map(entry => {
+            const dir = path.join(bundleDir, entry.name);
+            const [, versionName, buildNumber] = entry.name.match(releaseFolderPattern);
+            return {
+                bundleId,
+                name: entry.name,
+                dir,
+                versionName,
+                buildNumber: parseInt(buildNumber, 10),
+                modifiedAt: fs.statSync(dir).mtime,
+                size: diskUsage(dir),
+                latest: entry.name === latest
+            };
+        })
+        .sort((a, b) => compareVersions(b.versionName, a.versionName) || b.buildNumber - a.buildNumber);
+}
+
+// Remove the releases of a bundle id beyond the highest `keep`, or whose
+// folder was last changed more than `olderThanDays` ago. The `latest` release
+// is always kept. Returns the releases
+// removed (or that would be, in a dry run).
+function pruneReleases(bundleId, { keep, olderThanDays, dryRun = false } = {}) {
+    if (keep === undefined && olderThanDays === undefined) {
+        throw new Error('Give the number of releases to keep or the age to prune from.');
+    }
+    const cutoff = olderThanDays === undefined ? null : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const removed = listReleases(bundleId).filter((release, index) => !release.latest && (
+        (keep !== undefined && index >= keep) ||
+        (cutoff !== null && release.modifiedAt.getTime() < cutoff)
+    ));
+    if (!dryRun) {
+        removed.forEach(release => fs.removeSync(release.dir));
+    }
+    return removed;
+}
+
+module.exports = {
+    shippableDir,
+    artifactFileName,
+    readPubspecVersion,
+    releaseDir,
+    storeArtifacts,
+    readLatestRelease,
+    listShippableBundles,
+    listReleases,
+    pruneReleases
+};
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeTextFile, recordBinaryFile, replaceInFile } = require('./rewrite');
+const { validateColor, validateIconPath, loadIconSource } = require('./icons');
+const { densities, writeDensityImages } = require('./android-icons');
+
+// The logo is fitted into a 192dp (Android) or 192pt (iOS) square, the size
+// Android 12 shows its splash icon at
+const logoSize = 192;
+
+// Android 12 splash icons are 288dp and masked to a 192dp circle, so the logo
+// is fitted into the square inside that circle
+const android12IconSize = 288;
+const android12LogoSize = Math.floor(logoSize / Math.SQRT2);
+
+const iosScales = [1, 2, 3];
+
+const defaultBackground = '#ffffff';
+const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Check the splash section of a flavor
+function validateSplash(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'Must be an object.';
+    }
+    const problems = [];
+    const logoResult = settings.logo === undefined ? 'Missing.' : validateIconPath(settings.logo);
+    if (logoResult !== true) {
+        problems.push(`logo: ${logoResult}`);
+    }
+    if (settings.background !== undefined && validateColor(settings.background) !== true) {
+        problems.push(`background: ${validateColor(settings.background)}`);
+    }
+    return problems.length === 0 || problems.join(' ');
+}
+
+// The logo centred in a transparent square of `pixels`, `inner` of which it fills
+function paddedLogo(logo, pixels, inner = pixels) {
+    const before = Math.floor((pixels - inner) / 2);
+    const after = pixels - inner - before;
+    return logo.image(inner, { fit: 'contain', background: transparent })
+        .ensureAlpha()
+        .extend({ top: before, bottom: after, left: before, right: after, background: transparent });
+}
+
+// Open the logo; a bitmap smaller than the largest image made from it is
+// scaled up, which is allowed but worth a warning
+async function loadLogo(logoPath, largestPixels) {
+    const logo = await loadIconSource(logoPath);
+    if (!logo.vector && Math.max(logo.width, logo.height) < largestPixels) {
+        console.warn(`Warning: the splash logo ${logoPath} is ${logo.width}x${logo.height} px and will be scaled up to ${largestPixels} px.`);
+    }
+    return logo;
+}
+
+function resolveSplash(splash) {
+    const result = validateSplash(splash);
+    if (result !== true) {
+        throw new Error(`Invalid splash settings: ${result}`);
+    }
+    return { logo: splash.logo, background: splash.background || defaultBackground };
+}
+
+function launchBackgroundXml() {
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<layer-list xmlns:android="http://schemas.android.com/apk/res/android">',
+        '    <item android:drawable="@color/splash_background" />',
+        '    <item>',
+        '        <bitmap',
+        '            android:gravity="center"',
+        '            android:src="@drawable/splash_logo" />',
+        '    </item>',
+        '</layer-list>',
+        ''
+    ].join('\n');
+}
+
+// LaunchTheme for Android 12 and later, which ignores windowBackground while
+// starting and shows windowSplashScreen* instead
+function android12StylesXml(parent) {
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<resources>',
+        `    <style name="LaunchTheme" parent="@android:style/${parent}">`,
+        '        <item name="android:windowBackground">@drawable/launch_background</item>',
+        '        <item name="android:windowSplashScreenBackground">@color/splash_background</item>',
+        '        <item name="android:windowSplashScreenAnimatedIcon">@drawable/splash_android12</item>',
+        '    </style>',
+        `    <style name="NormalTheme" parent="@android:style/${parent}">`,
+        '        <item name="android:windowBackground">?android:colorBackground</item>',
+        '    </style>',
+        '</resources>',
+        ''
+    ].join('\n');
+}
+
+// Write the Android launch screen: launch_background.xml over the splash
+// colour, the logo in every drawable density, and the Android 12 splash
+// icon and styles (light and night). Returns the number of files written.
+async function writeAndroidSplash(resDir, splash) {
+    const { logo: logoPath, background } = resolveSplash(splash);
+    const logo = await loadLogo(logoPath, logoSize * densities.xxxhdpi);
+
+    let count = 0;
+    count += await writeDensityImages(resDir, 'drawable', 'splash_logo.png', logoSize, pixels => paddedLogo(logo, pixels));
+    count += await writeDensityImages(resDir, 'drawable', 'splash_android12.png', android12IconSize, pixels =>
+        paddedLogo(logo, pixels, Math.round(pixels * android12LogoSize / android12IconSize)));
+
+    const textFiles = {
+        'values/splash_background.xml': [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<resources>',
+            `    <color name="splash_background">${background.toUpperCase()}</color>`,
+            '</resources>',
+            ''
+        ].join('\n'),
+        'drawable/launch_background.xml': launchBackgroundXml(),
+        'drawable-v21/launch_background.xml': launchBackgroundXml(),
+        'values-v31/styles.xml': android12StylesXml('Theme.Light.NoTitleBar'),
+        'values-night-v31/styles.xml': android12StylesXml('Theme.Black.NoTitleBar')
+    };
+    for (const [fileName, content] of Object.entries(textFiles)) {
+        writeTextFile(path.join(resDir, fileName), content);
+    }
+    return count + Object.keys(textFiles).length;
+}
+
+// Storyboard colour attributes for a #RRGGBB colour
+function storyboardColor(hex) {
+    const [red, green, blue] = [1, 3, 5].map(start => Number((parseInt(hex.slice(start, start + 2), 16) / 255).toFixed(4)));
+    return `red="${red}" green="${green}" blue="${blue}" alpha="1" colorSpace="custom" customColorSpace="sRGB"`;
+}
+
+// Write LaunchImage.imageset and set the launch storyboard's background
+// colour and image size. Returns the number of files written.
+async function writeIOSSplash(runnerDir, splash) {
+    const { logo: logoPath, background } = resolveSplash(splash);
+    const logo = await loadLogo(logoPath, logoSize * Math.max(...iosScales));
+    const imageSetPath = path.join(runnerDir, 'Assets.xcassets', 'LaunchImage.imageset');
+    fs.ensureDirSync(imageSetPath);
+
+    const images = iosScales.map(scale => ({
+        idiom: 'universal',
+        filename: scale === 1 ? 'LaunchImage.png' : `LaunchImage@${scale}x.png`,
+        scale: `${scale}x`
+    }));
+    await Promise.all(images.map(({ filename }, index) => {
+        const filePath = path.join(imageSetPath, filename);
+        recordBinaryFile(filePath);
+        return paddedLogo(logo, logoSize * iosScales[index]).png().toFile(filePath);
+    }));
+    writeTextFile(path.join(imageSetPath, 'Contents.json'), `${JSON.stringify({ images, info: { version: 1, author: 'xcode' } }, null, 2)}\n`);
+
+    replaceInFile(path.join(runnerDir, 'Base.lproj', 'LaunchScreen.storyboard'), [
+        { label: 'backgroundColor', pattern: /<color key="backgroundColor"[^>]*\/>/, replacement: () => `<color key="backgroundColor" ${storyboardColor(background)}/>` },
+        { label: 'LaunchImage size', pattern: /<image name="LaunchImage"[^>]*\/>/, replacement: () => `<image name="LaunchImage" width="${logoSize}" height="${logoSize}"/>`, count: '?', anchor: 'LaunchImage' }
+    ]);
+    return images.length + 2;
+}
+
+module.exports = { validateSplash, writeAndroidSplash, writeIOSSplash };
@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// One folder per bundle id with a ledger of the releases shipped on each
+// platform (android.json, ios.json)
+const versionsDir = path.join(__dirname, '..', 'versions');
+
+const bumpLevels = ['patch', 'minor', 'major'];
+
+function validateBump(input) {
+    return bumpLevels.includes(input) || `Bump must be one of ${bumpLevels.join(', ')}.`;
+}
+
+function ledgerPath(bundleId, platform) {
+    return path.join(versionsDir, bundleId, `${platform}.json`);
+}
+
+// The releases recorded for a bundle id on one platform, oldest first
+function readLedger(bundleId, platform) {
+    const filePath = ledgerPath(bundleId, platform);
+    if (!fs.existsSync(filePath)) {
+        return { bundleId, platform, releases: [] };
+    }
+    let ledger;
+    try {
+        ledger = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Version ledger ${filePath} is not valid JSON: ${error.message}`);
+    }
+    if (!ledger || !Array.isArray(ledger.releases)) {
+        throw new Error(`Version ledger ${filePath} has no "releases" list.`);
+    }
+    return ledger;
+}
+
+// The release with the highest build number, or null
+function lastRelease(ledger) {
+    return ledger.releases.reduce((last, release) => (!last || release.buildNumber > last.buildNumber ? release : last), null);
+}
+
+// [major, minor, patch] of a version name; missing parts are 0
+function versionParts(versionName) {
+    const parts = String(versionName).split('.').map(part => parseInt(part, 10));
+    while (parts.length < 3) {
+        parts.push(0);
+    }
+    return parts;
+}
+
+function compareVersions(a, b) {
+    const [partsA, partsB] = [versionParts(a), versionParts(b)];
+    const index = partsA.findIndex((part, i) => part !== partsB[i]);
+    return index === -1 ? 0 : partsA[index] - partsB[index];
+}
+
+function bumpVersion(versionName, level) {
+    const [major, minor, patch] = versionParts(versionName);
+    switch (level) {
+        case 'major': return `${major + 1}.0.0`;
+        case 'minor': return `${major}.${minor + 1}.0`;
+        default: return `${major}.${minor}.${patch + 1}`;
+    }
+}
+
+// Version name and build number of the next release of a bundle id. A bump
+// starts from the last release on the ledger (or the given version when there
+// is none). A given build number must be above every one that has shipped;
+// without one the last build number plus one is used, or 1 for the first
+// release.
+function resolveRelease(bundleId, platform, { versionName, buildNumber, bump } = {}) {
+    const ledger = readLedger(bundleId, platform);
+    const last = lastRelease(ledger);
+
+    let nextVersion = versionName;
+    if (bump) {
+        const result = validateBump(bump);
+        if (result !== true) {
+            throw new Error(result);
+        }
+        const base = last ? last.versionName : versionName;
+        if (!base) {
+            throw new Error(`Nothing to bump: no ${platform} release of ${bundleId} is recorded and no version was given.`);
+        }
+        nextVersion = bumpVersion(base, bump);
+    }
+    if (!nextVersion) {
+        throw new Error(`No version given for ${bundleId} (${platform}). Set version.name or pass --bump.`);
+    }
+
+    let nextBuild;
+    if (buildNumber !== undefined && buildNumber !== null && buildNumber !== '') {
+        nextBuild = parseInt(buildNumber, 10);
+        const shipped = ledger.releases.find(release => release.buildNumber === nextBuild);
+        if (shipped) {
+            throw new Error(`Build number ${nextBuild} of ${bundleId} (${platform}) already shipped as ${shipped.versionName} on ${shipped.releasedAt}. Drop version.code to use ${last.buildNumber + 1}.`);
+        }
+        if (last && nextBuild < last.buildNumber) {
+            throw new Error(`Build number ${nextBuild} of ${bundleId} (${platform}) is below ${last.buildNumber}, the last one shipped. Drop version.code to use ${last.buildNumber + 1}.`);
+        }
+    } else {
+        nextBuild = last ? last.buildNumber + 1 : 1;
+    }
+
+    if (last && compareVersions(nextVersion, last.versionName) < 0) {
+        console.warn(`Warning: version ${nextVersion} is lower than ${last.versionName}, the last ${platform} release of ${bundleId}.`);
+    }
+    console.log(`${platform} release of ${bundleId}: ${nextVersion} (build ${nextBuild})${last ? `, last shipped ${last.versionName} (build ${last.buildNumber})` : ', the first on the ledger'}.`);
+    return { versionName: nextVersion, buildNumber: nextBuild };
+}
+
+// Add a shipped release to the ledger. The build number is checked again in
+// case another run recorded it in the meantime.
+function recordRelease(bundleId, platform, { versionName, buildNumber, flavor, artifacts = [] }) {
+    const ledger = readLedger(bundleId, platform);
+    const last = lastRelease(ledger);
+    if (last && buildNumber <= last.buildNumber) {
+        throw new Error(`Build number ${buildNumber} of ${bundleId} (${platform}) is not above ${last.buildNumber}, which was recorded meanwhile.`);
+    }
+    ledger.releases.push({
+        versionName,
+        buildNumber,
+        flavor,
+        releasedAt: new Date().toISOString(),
+        artifacts: artifacts.map(artifact => path.basename(artifact))
+    });
+    const filePath = ledgerPath(bundleId, platform);
+    fs.outputJsonSync(filePath, ledger, { spaces: 2 });
+    console.log(`Recorded ${versionName} (build ${buildNumber}) in ${filePath}.`);
+    return filePath;
+}
+
+module.exports = { versionsDir, bumpLevels, validateBump, readLedger, lastRelease, compareVersions, bumpVersion, resolveRelease, recordRelease };
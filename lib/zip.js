@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+// Just enough of the ZIP format to pull single files out of an APK or AAB
+// without unpacking it, and to pack build symbols for shipping
+
+const endOfCentralDirectorySignature = 0x06054b50;
+const centralDirectorySignature = 0x02014b50;
+const localHeaderSignature = 0x04034b50;
+
+// The end record is 22 bytes plus a comment of up to 64 KB
+const endOfCentralDirectorySize = 22;
+const maximumCommentSize = 0xffff;
+
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function readCentralDirectory(fd, zipPath) {
+    const fileSize = fs.fstatSync(fd).size;
+    const tailLength = Math.min(fileSize, endOfCentralDirectorySize + maximumCommentSize);
+    const tail = readAt(fd, fileSize - tailLength, tailLength);
+    let index = tail.length - endOfCentralDirectorySize;
+    while (index >= 0 && tail.readUInt32LE(index) !== endOfCentralDirectorySignature) {
+        index--;
+    }
+    if (index < 0) {
+        throw new Error(`${zipPath} is not a ZIP file.`);
+    }
+    const entryCount = tail.readUInt16LE(index + 10);
+    const size = tail.readUInt32LE(index + 12);
+    const offset = tail.readUInt32LE(index + 16);
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new Error(`${zipPath} is a ZIP64 file, which is not supported.`);
+    }
+    return { entryCount, directory: readAt(fd, offset, size) };
+}
+
+// Names, compression and offsets of every file in the archive
+function listEntries(fd, zipPath) {
+    const { entryCount, directory } = readCentralDirectory(fd, zipPath);
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.readUInt32LE(position) !== centralDirectorySignature) {
+            throw new Error(`${zipPath} has a damaged central directory.`);
+        }
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        entries.push({
+            name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+            method: directory.readUInt16LE(position + 10),
+            compressedSize: directory.readUInt32LE(position + 20),
+            size: directory.readUInt32LE(position + 24),
+            localHeaderOffset: directory.readUInt32LE(position + 42)
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Contents of one file in a ZIP archive, or null when it is not there
+function readZipEntry(zipPath, entryName) {
+    const fd = fs.openSync(zipPath, 'r');
+    try {
+        const entry = listEntries(fd, zipPath).find(candidate => candidate.name === entryName);
+        if (!entry) {
+            return null;
+        }
+        const header = readAt(fd, entry.localHeaderOffset, 30);
+        if (header.readUInt32LE(0) !== localHeaderSignature) {
+            throw new Error(`${zipPath} has a damaged entry ${entryName}.`);
+        }
+        const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const data = readAt(fd, dataOffset, entry.compressedSize);
+        switch (entry.method) {
+            case 0: return data;
+            case 8: return zlib.inflateRawSync(data);
+            default: throw new Error(`${entryName} in ${zipPath} uses compression method ${entry.method}, which is not supported.`);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Write a deflated ZIP archive of { name, data } entries
+function writeZip(zipPath, entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const { name, data } of entries) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        // Version 2.0, UTF-8 names, deflate, dated 1980-01-01 so the archive
+        // only changes with its contents
+        const fields = { version: 20, flags: 0x0800, method: 8, date: 0x0021, crc: crc32(data), compressedSize: compressed.length, size: data.length };
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(localHeaderSignature, 0);
+        local.writeUInt16LE(fields.version, 4);
+        local.writeUInt16LE(fields.flags, 6);
+        local.writeUInt16LE(fields.method, 8);
+        local.writeUInt16LE(fields.date, 12);
+        local.writeUInt32LE(fields.crc, 14);
+        local.writeUInt32LE(fields.compressedSize, 18);
+        local.writeUInt32LE(fields.size, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        localParts.push(local, nameBuffer, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(centralDirectorySignature, 0);
+        central.writeUInt16LE(fields.version, 4);
+        central.writeUInt16LE(fields.version, 6);
+        central.writeUInt16LE(fields.flags, 8);
+        central.writeUInt16LE(fields.method, 10);
+        central.writeUInt16LE(fields.date, 14);
+        central.writeUInt32LE(fields.crc, 16);
+        central.writeUInt32LE(fields.compressedSize, 20);
+        central.writeUInt32LE(fields.size, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(endOfCentralDirectorySize);
+    end.writeUInt32LE(endOfCentralDirectorySignature, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    fs.outputFileSync(zipPath, Buffer.concat([...localParts, centralDirectory, end]));
+    return zipPath;
+}
+
+module.exports = { readZipEntry, writeZip };
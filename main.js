@@ -1,11 +1,20 @@
 const inquirer = require('inquirer').default;
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
+const { replaceInFile, escapeXmlAttribute } = require('./lib/rewrite');
+const { updatePlist } = require('./lib/plist');
+const { answersToConfig } = require('./lib/flavor');
+const { applyConfigConstants } = require('./lib/dart-config');
+const { detectOldPackage, moveAndroidPackage } = require('./lib/android-package');
+const { updateGradleIds } = require('./lib/gradle');
+const { openProject, saveProject, findNativeTarget, targetConfigurations, setBuildSettings } = require('./lib/pbxproj');
+const { validateTeamId, resolveSigningProfile, writeSigningXcconfig, applySigningToRunner } = require('./lib/ios-signing');
+const { archivePath, buildArgs, xcodebuildCommand } = require('./lib/ios-export');
+const { shippableDir, readPubspecVersion, storeArtifacts } = require('./lib/shippable');
+const { runProcess, minutes } = require('./lib/process');
 
 // Define the parent directory for sibling folders
 const parentDir = path.resolve(__dirname, '..');
-const outputDir = path.join(__dirname, 'shippable');
 
 // Prompt user for app settings and the Flutter app folder name
 async function promptUser() {
@@ -42,11 +51,6 @@ async function promptUser() {
             message: 'Enter the API_URL:',
             default: 'https://www.prepto.pro'
         },
-        {
-            name: 'teamId',
-            message: 'Enter your Apple Development Team ID:',
-            default: 'ZBWAG62J88'
-        },
         {
             type: 'confirm',
             name: 'buildAndroid',
@@ -58,26 +62,15 @@ async function promptUser() {
             name: 'buildIOS',
             message: 'Do you want to build for iOS?',
             default: true
-        }
-    ]);
-    return answers;
-}
-
-// Function to pause and ask the user to manually apply Xcode changes
-async function confirmXcodeChanges() {
-    const confirmation = await inquirer.prompt([
+        },
         {
-            type: 'confirm',
-            name: 'xcodeChangesApplied',
-            message: 'Did you manually apply the required changes in Xcode (e.g., set the Development Team, Bundle ID)?',
-            default: false
+            name: 'teamId',
+            message: 'Enter your Apple Development Team ID:',
+            when: answers => answers.buildIOS,
+            validate: validateTeamId
         }
     ]);
-
-    if (!confirmation.xcodeChangesApplied) {
-        console.log("Please apply the required changes in Xcode and then return to confirm.");
-        await confirmXcodeChanges(); // Recursive call until user confirms
-    }
+    return answers;
 }
 
 // Determine if the flutterAppFolderName is a path or a folder name
@@ -97,7 +90,7 @@ function convertBundleNameToFolderName(bundleName) {
 // Create a copy of the project based on the bundle name
 function copyProject(flutterAppFolderPath, bundleName) {
     const folderName = convertBundleNameToFolderName(bundleName);
-    const appDir = path.join(outputDir, folderName);
+    const appDir = path.join(shippableDir, folderName);
 
     // Resolve absolute paths for comparison
     const resolvedSrc = path.resolve(flutterAppFolderPath);
@@ -116,230 +109,119 @@ function copyProject(flutterAppFolderPath, bundleName) {
 
 // Update Android files and package structure
 function updateAndroidFiles(bundleName, appName, projectDir) {
-    const androidManifestPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'AndroidManifest.xml');
-    const buildGradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
-    const kotlinPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'kotlin');
+    const androidAppDir = path.join(projectDir, 'android', 'app');
+    const androidManifestPath = path.join(androidAppDir, 'src', 'main', 'AndroidManifest.xml');
 
-    // Update AndroidManifest.xml with the new package name and app name
-    let androidManifest = fs.readFileSync(androidManifestPath, 'utf8');
-    const oldPackageNameMatch = androidManifest.match(/package="([^"]+)"/);
-    if (!oldPackageNameMatch) {
-        throw new Error('Could not find the package name in AndroidManifest.xml');
-    }
-    const oldPackageName = oldPackageNameMatch[1];
-    const oldPackagePath = path.join(kotlinPath, ...oldPackageName.split('.'));
-
-    androidManifest = androidManifest.replace(/package="[^"]+"/, `package="${bundleName}"`);
-    androidManifest = androidManifest.replace(/android:label="[^"]+"/, `android:label="${appName}"`);
-    fs.writeFileSync(androidManifestPath, androidManifest, 'utf8');
-
-    // Update build.gradle with the new applicationId
-    let buildGradle = fs.readFileSync(buildGradlePath, 'utf8');
-    buildGradle = buildGradle.replace(/applicationId "[^"]+"/, `applicationId "${bundleName}"`);
-    fs.writeFileSync(buildGradlePath, buildGradle, 'utf8');
-
-    // Update the package structure
-    const packageParts = bundleName.split('.');
-    const newPackagePath = path.join(kotlinPath, ...packageParts);
+    // Detect the package before Gradle is rewritten
+    const oldPackageName = detectOldPackage(androidAppDir);
 
-    // Ensure the new package path exists
-    fs.ensureDirSync(newPackagePath);
-
-    // Move MainActivity.kt or MainActivity.java to the new package path
-    const mainActivityFile = fs.existsSync(path.join(oldPackagePath, 'MainActivity.kt'))
-        ? 'MainActivity.kt'
-        : 'MainActivity.java';
+    // Update AndroidManifest.xml with the new package name and app name
+    replaceInFile(androidManifestPath, [
+        // Modern Flutter templates no longer declare package= in the manifest
+        { label: 'package', pattern: /package="[^"]+"/, replacement: () => `package="${bundleName}"`, count: '?' },
+        { label: 'android:label', pattern: /android:label="[^"]+"/, replacement: () => `android:label="${escapeXmlAttribute(appName)}"` }
+    ]);
 
-    fs.moveSync(path.join(oldPackagePath, mainActivityFile), path.join(newPackagePath, mainActivityFile));
+    // Update build.gradle or build.gradle.kts with the new namespace and applicationId
+    updateGradleIds(androidAppDir, bundleName);
 
-    // Update package name in MainActivity file
-    const mainActivityPath = path.join(newPackagePath, mainActivityFile);
-    let mainActivityContent = fs.readFileSync(mainActivityPath, 'utf8');
-    mainActivityContent = mainActivityContent.replace(/package .+;/, `package ${bundleName};`);
-    fs.writeFileSync(mainActivityPath, mainActivityContent, 'utf8');
+    // Move the Kotlin/Java sources to the new package structure
+    moveAndroidPackage(androidAppDir, oldPackageName, bundleName);
 }
 
-// Update iOS files and setup xcconfig for automated signing
-function updateIOSFilesAndSetupSigning(appName, projectDir, teamId) {
+// Update iOS files and apply the signing profile through the xcconfig and
+// the Runner target
+function updateIOSFilesAndSetupSigning(bundleName, appName, projectDir, teamId) {
     const infoPlistPath = path.join(projectDir, 'ios', 'Runner', 'Info.plist');
-    const xcconfigPath = path.join(projectDir, 'ios', 'config', 'build.xcconfig');
 
     // Update Info.plist
-    let infoPlist = fs.readFileSync(infoPlistPath, 'utf8');
-    infoPlist = infoPlist.replace(/<key>CFBundleName<\/key>\s*<string>[^<]+<\/string>/, `<key>CFBundleName</key>\n\t<string>${appName}</string>`);
-    fs.writeFileSync(infoPlistPath, infoPlist, 'utf8');
-
-    // Create or update the xcconfig file for signing
-    const xcconfigContent = `
-CODE_SIGN_STYLE = Automatic
-DEVELOPMENT_TEAM = ${teamId}
-CODE_SIGN_IDENTITY = iPhone Developer
-    `;
-    fs.ensureDirSync(path.dirname(xcconfigPath));
-    fs.writeFileSync(xcconfigPath, xcconfigContent.trim(), 'utf8');
+    updatePlist(infoPlistPath, { CFBundleName: appName });
 
+    const signingProfile = resolveSigningProfile(null, teamId);
+    writeSigningXcconfig(projectDir, signingProfile);
     console.log('xcconfig file for automated signing created/updated.');
 
-    // Modify the Xcode project to use the xcconfig file
+    // Set the bundle id and the same signing settings on the Runner target
     const projectPbxprojPath = path.join(projectDir, 'ios', 'Runner.xcodeproj', 'project.pbxproj');
-    let projectPbxproj = fs.readFileSync(projectPbxprojPath, 'utf8');
-
-    // Set the baseConfigurationReference to point to the xcconfig file
-    projectPbxproj = projectPbxproj.replace(/(buildSettings = \{[^}]*)(\};)/g, (match, p1, p2) => {
-        if (!p1.includes('baseConfigurationReference')) {
-            return `${p1}\n\t\t\t\tbaseConfigurationReference = "${xcconfigPath}";${p2}`;
-        }
-        return match;
-    });
-
-    fs.writeFileSync(projectPbxprojPath, projectPbxproj, 'utf8');
-    console.log('Xcode project updated to use xcconfig for signing.');
+    const project = openProject(projectPbxprojPath);
+    const runner = findNativeTarget(project, 'Runner');
+    setBuildSettings(project, Object.values(targetConfigurations(project, runner)), { PRODUCT_BUNDLE_IDENTIFIER: bundleName });
+    applySigningToRunner(project, signingProfile);
+    saveProject(project);
+    console.log(`Xcode project updated with bundle identifier ${bundleName} and the signing settings.`);
 }
 
 // Update environment variables or configuration files
 function updateConfigFiles(offlineCategoryId, apiUrl, projectDir) {
-    const configFilePath = path.join(projectDir, 'lib', 'config.dart'); // Assuming a config.dart file exists
-    let configContent = fs.readFileSync(configFilePath, 'utf8');
-    configContent = configContent.replace(/const int OFFLINE_CATEGORY_ID = [^']*;/, `const int OFFLINE_CATEGORY_ID = ${offlineCategoryId};`);
-    configContent = configContent.replace(/const String API_URL = '[^']*';/, `const String API_URL = '${apiUrl}';`);
-    fs.writeFileSync(configFilePath, configContent, 'utf8');
-
+    applyConfigConstants(projectDir, answersToConfig({ offlineCategoryId, apiUrl }));
 }
 
 // Build the Flutter app for Android and/or iOS
-function buildApp(projectDir, buildAndroid, buildIOS) {
-    return new Promise((resolve, reject) => {
-        console.log('Building Flutter app...');
+async function buildApp(projectDir, buildAndroid, buildIOS, teamId) {
+    console.log('Building Flutter app...');
 
-        const buildCommands = [];
-
-        if (buildAndroid) {
-            buildCommands.push('flutter build apk');
-        }
-
-        if (buildIOS) {
-            buildCommands.push('flutter build ios --no-codesign');
-        }
+    const buildSteps = [];
 
-        // If there are no build commands, resolve without doing anything
-        if (buildCommands.length === 0) {
-            console.log('No build process was selected.');
-            return resolve();
-        }
-
-        const buildCommand = buildCommands.join(' && ');
-        const flutterBuildProcess = exec(buildCommand, { cwd: projectDir });
-
-        flutterBuildProcess.stdout.on('data', (data) => {
-            console.log(data.toString());
-        });
-
-        flutterBuildProcess.stderr.on('data', (data) => {
-            console.error(data.toString());
-        });
-
-        flutterBuildProcess.on('close', (code) => {
-            if (code === 0) {
-                console.log('Flutter build completed successfully.');
+    if (buildAndroid) {
+        buildSteps.push(['build', 'apk']);
+    }
 
-                if (buildIOS) {
-                    const xcodeBuildProcess = exec(
-                        'xcodebuild -workspace ios/Runner.xcworkspace -scheme Runner -sdk iphoneos -configuration Release archive -archivePath ios/Runner.xcarchive -allowProvisioningUpdates',
-                        { cwd: projectDir }
-                    );
+    if (buildIOS) {
+        buildSteps.push(['build', 'ios', '--no-codesign']);
+    }
 
-                    xcodeBuildProcess.stdout.on('data', (data) => {
-                        console.log(data.toString());
-                    });
+    // If there are no build steps, return without doing anything
+    if (buildSteps.length === 0) {
+        console.log('No build process was selected.');
+        return;
+    }
 
-                    xcodeBuildProcess.stderr.on('data', (data) => {
-                        console.error(data.toString());
-                    });
+    for (const args of buildSteps) {
+        await runProcess('flutter', args, { cwd: projectDir, timeout: minutes(30), label: `flutter ${args.slice(0, 2).join(' ')}` });
+    }
+    console.log('Flutter build completed successfully.');
 
-                    xcodeBuildProcess.on('close', (xcodeCode) => {
-                        if (xcodeCode === 0) {
-                            console.log('Xcode build and signing completed successfully.');
-                            resolve();
-                        } else {
-                            console.error('Xcode build process failed.');
-                            reject(new Error('Xcode build process exited with errors.'));
-                        }
-                    });
-                } else {
-                    resolve();
-                }
-            } else {
-                console.error('Flutter build process failed.');
-                reject(new Error('Flutter build process exited with errors.'));
-            }
-        });
-    });
+    if (buildIOS) {
+        await runProcess(xcodebuildCommand(), buildArgs('Release', resolveSigningProfile(null, teamId)), { cwd: projectDir, timeout: minutes(60), label: 'xcodebuild' });
+        console.log('Xcode build and signing completed successfully.');
+    }
 }
 
-// Copy build outputs to a separate "shippable" folder
-function copyToShippableFolder(projectDir, folderName) {
-    console.log(`Preparing to copy build outputs to the shippable folder for "${folderName}"...`);
-
-    const shippableAppDir = path.join(outputDir, folderName);
-
-    // Ensure the shippable folder exists
-    fs.ensureDirSync(shippableAppDir);
-
-    const androidApkPath = path.join(projectDir, 'build', 'app', 'outputs', 'apk', 'release', 'app-release.apk');
-    const iosArchivePath = path.join(projectDir, 'ios', 'Runner.xcarchive');
-
-    console.log(`Checking Android APK at: ${androidApkPath}`);
-    console.log(`Checking iOS archive at: ${iosArchivePath}`);
-
-    // Copy Android APK to shippable folder
-    if (fs.existsSync(androidApkPath)) {
-        fs.copyFileSync(androidApkPath, path.join(shippableAppDir, 'app-release.apk'));
-        console.log('Android APK copied to the shippable folder.');
-    } else {
-        console.error('Android APK not found!');
+// Copy build outputs to the release's folder under "shippable", next to the
+// ones android.js and ios.js store. This script leaves the version alone, so
+// they are filed under the one in pubspec.yaml.
+function copyToShippableFolder(projectDir, bundleName, appName, buildAndroid, buildIOS) {
+    console.log(`Preparing to copy build outputs to the shippable folder for "${bundleName}"...`);
+    const outputs = [];
+    if (buildAndroid) {
+        outputs.push({ source: path.join(projectDir, 'build', 'app', 'outputs', 'apk', 'release', 'app-release.apk'), extension: '.apk' });
     }
-
-    // Copy iOS .xcarchive to shippable folder
-    if (fs.existsSync(iosArchivePath)) {
-        fs.copySync(iosArchivePath, path.join(shippableAppDir, 'Runner.xcarchive'));
-        console.log('iOS archive copied to the shippable folder.');
-    } else {
-        console.error('iOS archive not found!');
+    if (buildIOS) {
+        outputs.push({ source: path.join(projectDir, archivePath), extension: '.xcarchive' });
     }
-
-    console.log('Build outputs copied to the shippable folder.');
+    return storeArtifacts({ bundleId: bundleName, appName, buildMode: 'Release', ...readPubspecVersion(projectDir) }, outputs);
 }
 
-
-
 // Main function to control the process
 async function main() {
     const { flutterAppFolderName, bundleName, appName, offlineCategoryId, apiUrl, teamId, buildAndroid, buildIOS } = await promptUser();
     const flutterAppFolderPath = resolveFlutterAppPath(flutterAppFolderName);
     const projectDir = copyProject(flutterAppFolderPath, bundleName);
 
-    // Pause the script and ask the user to apply Xcode changes manually if iOS build is selected
-    if (buildIOS) {
-        console.log('Please open your Xcode project and apply the necessary changes.');
-        console.log('For example: Set the Development Team, ensure a valid Bundle ID, etc.');
-        await confirmXcodeChanges();
-    }
-
     // Step 2: Update Android and iOS files
     if (buildAndroid) {
         updateAndroidFiles(bundleName, appName, projectDir);
     }
     if (buildIOS) {
-        updateIOSFilesAndSetupSigning(appName, projectDir, teamId);
+        updateIOSFilesAndSetupSigning(bundleName, appName, projectDir, teamId);
     }
     updateConfigFiles(offlineCategoryId, apiUrl, projectDir);
 
     // Step 3: Build the app for selected platforms
     try {
         if (buildAndroid || buildIOS) {
-            await buildApp(projectDir, buildAndroid, buildIOS);
-            const folderName = convertBundleNameToFolderName(bundleName);
-            copyToShippableFolder(projectDir, folderName);
+            await buildApp(projectDir, buildAndroid, buildIOS, teamId);
+            copyToShippableFolder(projectDir, bundleName, appName, buildAndroid, buildIOS);
             console.log('App is ready for deployment!');
         } else {
             console.log('No build process was selected.');
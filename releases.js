@@ -0,0 +1,149 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { shippableDir, listShippableBundles, listReleases, pruneReleases, readLatestRelease } = require('./lib/shippable');
+const { findReleaseManifests, verifyReleaseManifest } = require('./lib/release-manifest');
+
+const usage = [
+    'Usage:',
+    '  node releases.js list [bundleId]',
+    '  node releases.js prune [bundleId] --keep <count> [--dry-run]',
+    '  node releases.js prune [bundleId] --older-than <days>d [--dry-run]',
+    '  node releases.js verify <bundleId> [<version>+<build>]',
+    '  node releases.js verify <releaseFolder>'
+].join('\n');
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// The bundle ids a command works on: the one given, or every one
+function bundlesFor(bundleId) {
+    const bundles = bundleId ? [bundleId] : listShippableBundles();
+    if (bundles.length === 0) {
+        console.log(`No releases in ${shippableDir}.`);
+    }
+    return bundles;
+}
+
+// Print every release folder with its date and size, and the total per bundle
+function listEntries(bundleId) {
+    let total = 0;
+    for (const bundle of bundlesFor(bundleId)) {
+        const releases = listReleases(bundle);
+        const bundleSize = releases.reduce((sum, release) => sum + release.size, 0);
+        total += bundleSize;
+        console.log(`${bundle}  ${releases.length} release(s), ${formatSize(bundleSize)}`);
+        for (const release of releases) {
+            console.log(`  ${release.name.padEnd(24)}  ${release.modifiedAt.toISOString().slice(0, 16).replace('T', ' ')}  ${formatSize(release.size).padStart(9)}${release.latest ? '  (latest)' : ''}`);
+        }
+    }
+    console.log(`Total: ${formatSize(total)}`);
+}
+
+// Parse "30d" or "30" into a number of days
+function parseDays(input) {
+    const match = /^(\d+)d?$/.exec(input);
+    if (!match) {
+        throw new Error(`--older-than must be a number of days, e.g. 30d, not "${input}".`);
+    }
+    return parseInt(match[1], 10);
+}
+
+// Remove old release folders and report the space freed
+function pruneEntries(bundleId, { keep, olderThan, dryRun }) {
+    if (keep === undefined && olderThan === undefined) {
+        throw new Error(usage);
+    }
+    if (keep !== undefined && !/^\d+$/.test(keep)) {
+        throw new Error(`--keep must be a whole number, not "${keep}".`);
+    }
+    const options = {
+        keep: keep === undefined ? undefined : parseInt(keep, 10),
+        olderThanDays: olderThan === undefined ? undefined : parseDays(olderThan),
+        dryRun
+    };
+
+    let freed = 0;
+    for (const bundle of bundlesFor(bundleId)) {
+        for (const release of pruneReleases(bundle, options)) {
+            freed += release.size;
+            console.log(`${dryRun ? 'Would remove' : 'Removed'} ${bundle}/${release.name} (${formatSize(release.size)})`);
+        }
+    }
+    console.log(`${dryRun ? 'Would free' : 'Freed'} ${formatSize(freed)}.`);
+}
+
+// The release folder a verify command names: a folder holding a release
+// manifest, or a bundle id and release (the latest one by default)
+function resolveReleaseFolder(target, releaseName) {
+    if (!releaseName && findReleaseManifests(target).length > 0) {
+        return path.resolve(target);
+    }
+    const name = releaseName || readLatestRelease(target);
+    if (!name) {
+        throw new Error(`No release folder at ${target} and no latest release of ${target} in ${shippableDir}.`);
+    }
+    return path.join(shippableDir, target, name);
+}
+
+// Hash a release's artifacts again and compare them with the manifest of
+// every platform built into it
+async function verifyEntries(target, releaseName) {
+    const dir = resolveReleaseFolder(target, releaseName);
+    const manifestNames = findReleaseManifests(dir);
+    if (manifestNames.length === 0) {
+        throw new Error(`No release manifest in ${dir}.`);
+    }
+    let checked = 0;
+    let failed = 0;
+    for (const manifestName of manifestNames) {
+        const { manifest, results } = await verifyReleaseManifest(path.join(dir, manifestName));
+        console.log(`${manifest.bundleId} ${manifest.versionName}+${manifest.buildNumber} (${manifest.platform}, ${manifest.buildMode}) in ${dir}, ${manifestName}`);
+        for (const result of results) {
+            console.log(`  ${result.problem ? 'FAIL' : 'OK  '}  ${result.file}${result.problem ? `: ${result.problem}, expected ${result.sha256} (${result.size} bytes)` : ''}`);
+        }
+        checked += results.length;
+        failed += results.filter(result => result.problem).length;
+    }
+    if (failed > 0) {
+        throw new Error(`${failed} of ${checked} artifact(s) do not match ${manifestNames.join(', ')}.`);
+    }
+    console.log(`All ${checked} artifact(s) match ${manifestNames.join(', ')}.`);
+}
+
+// Main function to control the process
+async function main() {
+    const { values, positionals } = parseArgs({
+        options: {
+            keep: { type: 'string' },
+            'older-than': { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        },
+        allowPositionals: true
+    });
+    const [commandName, ...args] = positionals;
+
+    if (commandName === 'list' && args.length <= 1) {
+        listEntries(args[0]);
+    } else if (commandName === 'prune' && args.length <= 1) {
+        pruneEntries(args[0], { keep: values.keep, olderThan: values['older-than'], dryRun: values['dry-run'] });
+    } else if (commandName === 'verify' && args.length >= 1 && args.length <= 2) {
+        await verifyEntries(...args);
+    } else {
+        throw new Error(usage);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
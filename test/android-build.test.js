@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { flutterBuildSteps, splitVersionCode, findDebugInfoOutputs } = require('../lib/android-build');
+const { readZipEntry } = require('../lib/zip');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+describe('flutterBuildSteps', () => {
+    it('passes the dart-define file to every build', () => {
+        assert.deepEqual(flutterBuildSteps('Debug', {}, { dartDefineFile: 'flavor_defines.json' }), [
+            ['build', 'apk', '--debug', '--dart-define-from-file=flavor_defines.json']
+        ]);
+        assert.deepEqual(flutterBuildSteps('Release', { splitPerAbi: true }, { dartDefineFile: 'flavor_defines.json' }), [
+            ['build', 'apk', '--release', '--split-per-abi', '--dart-define-from-file=flavor_defines.json'],
+            ['build', 'appbundle', '--release', '--dart-define-from-file=flavor_defines.json']
+        ]);
+    });
+
+    it('passes no dart-define file when the constants are in the sources', () => {
+        const steps = flutterBuildSteps('Release', { obfuscate: true, splitDebugInfo: true, versionFlags: true }, { versionName: '2.1.0', versionCode: 7 });
+        assert.deepEqual(steps[1], ['build', 'appbundle', '--release', '--obfuscate', `--split-debug-info=${path.join('build', 'symbols')}`, '--build-name=2.1.0', '--build-number=7']);
+        assert.ok(steps.flat().every(arg => !arg.startsWith('--dart-define')));
+    });
+});
+
+describe('splitVersionCode', () => {
+    it('adds 1000 times the ABI number to the version code', () => {
+        const abis = { 'armeabi-v7a': 1, 'arm64-v8a': 2, x86: 3, x86_64: 4 };
+        for (const [abi, number] of Object.entries(abis)) {
+            assert.equal(splitVersionCode(42, abi), number * 1000 + 42);
+            assert.equal(splitVersionCode('42', abi), number * 1000 + 42);
+        }
+    });
+
+    it('leaves the version code of a universal APK or an unknown ABI alone', () => {
+        assert.equal(splitVersionCode(42, undefined), 42);
+        assert.equal(splitVersionCode(42, 'mips'), 42);
+    });
+});
+
+describe('findDebugInfoOutputs', () => {
+    let projectDir;
+    const symbolFiles = {
+        'app.android-arm.symbols': 'arm',
+        'app.android-arm64.symbols': 'arm64',
+        'nested/deeper/app.android-x64.symbols': 'x64'
+    };
+
+    beforeEach(() => {
+        setUpTest();
+        projectDir = makeScratchDir();
+        for (const [name, content] of Object.entries(symbolFiles)) {
+            fs.outputFileSync(path.join(projectDir, 'build', 'symbols', ...name.split('/')), content);
+        }
+        fs.outputFileSync(path.join(projectDir, 'build', 'app', 'outputs', 'mapping', 'release', 'mapping.txt'), 'a -> b\n');
+    });
+    afterEach(tearDownTest);
+
+    it('zips the Dart symbols with their relative paths and adds the R8 mapping', () => {
+        const outputs = findDebugInfoOutputs(projectDir, 'Release', { splitDebugInfo: true });
+        const zipPath = path.join(projectDir, 'build', 'symbols.zip');
+        assert.deepEqual(outputs, [
+            { source: zipPath, extension: '-symbols.zip' },
+            { source: path.join(projectDir, 'build', 'app', 'outputs', 'mapping', 'release', 'mapping.txt'), extension: '-mapping.txt' }
+        ]);
+        assert.equal(console.log.mock.calls[0].arguments[0], `Zipped 3 symbol file(s) from ${path.join('build', 'symbols')}.`);
+        for (const [name, content] of Object.entries(symbolFiles)) {
+            assert.equal(String(readZipEntry(zipPath, name)), content);
+        }
+        assert.equal(readZipEntry(zipPath, 'nested/'), null);
+        assert.equal(readZipEntry(zipPath, 'nested\\deeper\\app.android-x64.symbols'), null);
+    });
+
+    it('ships only the mapping without split debug info, and nothing for a Debug build', () => {
+        assert.deepEqual(findDebugInfoOutputs(projectDir, 'Release', {}).map(output => output.extension), ['-mapping.txt']);
+        assert.equal(fs.existsSync(path.join(projectDir, 'build', 'symbols.zip')), false);
+        assert.deepEqual(findDebugInfoOutputs(projectDir, 'Debug', { splitDebugInfo: true }), []);
+    });
+});
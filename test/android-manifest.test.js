@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const path = require('path');
+const { decodeBinaryXml, decodeProtoXml, readArtifactManifest, verifyArtifactManifest } = require('../lib/android-manifest');
+const { readZipEntry } = require('../lib/zip');
+const { fixturesDir, setUpTest, tearDownTest } = require('./helpers');
+
+// Manifests encoded as aapt2 writes them, see fixtures/android-manifest/make-fixtures.js
+const fixture = (name) => path.join(fixturesDir, 'android-manifest', name);
+const release = { packageName: 'com.acme.shop', versionCode: 42, versionName: '2.1.0' };
+
+describe('decodeBinaryXml', () => {
+    it('decodes a manifest with a UTF-8 string pool', () => {
+        const manifest = decodeBinaryXml(readZipEntry(fixture('utf8.apk'), 'AndroidManifest.xml'));
+        assert.deepEqual(manifest, {
+            name: 'manifest',
+            attributes: { versionCode: 42, versionName: '2.1.0', package: 'com.acme.shop' },
+            children: [{ name: 'application', attributes: { label: 'Acme Café' }, children: [] }]
+        });
+    });
+
+    it('decodes a manifest with a UTF-16 string pool and a label given as a resource', () => {
+        const manifest = decodeBinaryXml(readZipEntry(fixture('utf16.apk'), 'AndroidManifest.xml'));
+        assert.deepEqual(manifest.attributes, { versionCode: 42, versionName: '2.1.0', package: 'com.acme.shop' });
+        assert.deepEqual(manifest.children[0].attributes, { label: { reference: '0x7f0e0001' } });
+    });
+});
+
+describe('decodeProtoXml', () => {
+    it('decodes source strings, compiled integers and references', () => {
+        const manifest = decodeProtoXml(readZipEntry(fixture('app.aab'), 'base/manifest/AndroidManifest.xml'));
+        assert.deepEqual(manifest, {
+            name: 'manifest',
+            attributes: { versionCode: '42', versionName: '2.1.0', package: 'com.acme.shop' },
+            children: [
+                { name: 'uses-sdk', attributes: { minSdkVersion: 21 }, children: [] },
+                { name: 'application', attributes: { label: 'Acme Shop', icon: { reference: '0x7f0d0000' } }, children: [] }
+            ]
+        });
+    });
+
+    it('returns null for a node without an element', () => {
+        assert.equal(decodeProtoXml(Buffer.from([0x12, 0x02, 0x68, 0x69])), null);
+    });
+});
+
+describe('readArtifactManifest', () => {
+    it('reads the manifest of an APK and an AAB alike', () => {
+        assert.deepEqual(readArtifactManifest(fixture('utf8.apk')), { package: 'com.acme.shop', versionCode: 42, versionName: '2.1.0', label: 'Acme Café' });
+        // The string version code of the protobuf manifest becomes a number
+        assert.deepEqual(readArtifactManifest(fixture('app.aab')), { package: 'com.acme.shop', versionCode: 42, versionName: '2.1.0', label: 'Acme Shop' });
+    });
+
+    it('fails for an archive without a manifest', () => {
+        assert.throws(() => readArtifactManifest(fixture('no-manifest.apk')), /no-manifest\.apk has no AndroidManifest\.xml\./);
+    });
+});
+
+describe('verifyArtifactManifest', () => {
+    beforeEach(setUpTest);
+    afterEach(tearDownTest);
+
+    it('passes a manifest that matches the release', () => {
+        assert.equal(verifyArtifactManifest(fixture('app.aab'), { ...release, label: 'Acme Shop', versionCode: '42' }).package, 'com.acme.shop');
+        assert.equal(verifyArtifactManifest(fixture('utf8.apk'), { packageName: 'com.acme.shop', label: 'Acme Café' }).versionCode, 42);
+    });
+
+    it('lists every mismatch', () => {
+        const artifactPath = fixture('utf16.apk');
+        assert.throws(() => verifyArtifactManifest(artifactPath, { packageName: 'com.acme.other', label: 'Acme Shop', versionCode: 43, versionName: '2.1.0' }), {
+            message: `The manifest of ${artifactPath} does not match the release:\n`
+                + '  package is "com.acme.shop", expected "com.acme.other"\n'
+                + '  label is resource 0x7f0e0001, expected "Acme Shop"\n'
+                + '  versionCode is 42, expected 43'
+        });
+    });
+});
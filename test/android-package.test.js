@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { detectOldPackage, moveAndroidPackage } = require('../lib/android-package');
+const { copyFixture, makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+// Relative paths of every file below a folder, sorted
+function listTree(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+        .flatMap(entry => (entry.isDirectory() ? listTree(dir, path.posix.join(prefix, entry.name)) : [path.posix.join(prefix, entry.name)]))
+        .sort();
+}
+
+describe('lib/android-package.js', () => {
+    beforeEach(setUpTest);
+    afterEach(tearDownTest);
+
+    it('moves Kotlin sources, sub-packages and imports, and drops the old folders', () => {
+        const appDir = copyFixture('android-package/kotlin');
+        const oldPackage = detectOldPackage(appDir);
+        assert.equal(oldPackage, 'com.example.old_app');
+
+        moveAndroidPackage(appDir, oldPackage, 'com.acme.shop');
+        const kotlinDir = path.join(appDir, 'src', 'main', 'kotlin');
+        assert.deepEqual(listTree(kotlinDir), ['com/acme/shop/MainActivity.kt', 'com/acme/shop/util/Greeting.kt']);
+        assert.ok(!fs.existsSync(path.join(kotlinDir, 'com', 'example')), 'the emptied com/example folder is removed');
+
+        const mainActivity = fs.readFileSync(path.join(kotlinDir, 'com', 'acme', 'shop', 'MainActivity.kt'), 'utf8');
+        assert.match(mainActivity, /^package com\.acme\.shop\n\nimport com\.acme\.shop\.util\.greeting\nimport io\.flutter\.embedding\.android\.FlutterActivity\n/);
+        assert.match(fs.readFileSync(path.join(kotlinDir, 'com', 'acme', 'shop', 'util', 'Greeting.kt'), 'utf8'), /^package com\.acme\.shop\.util\n/);
+
+        const manifest = fs.readFileSync(path.join(appDir, 'src', 'main', 'AndroidManifest.xml'), 'utf8');
+        assert.match(manifest, /android:name="com\.acme\.shop\.MainActivity"/);
+        assert.match(manifest, /android:name="\.util\.SyncService"/);
+    });
+
+    it('moves a Java MainActivity', () => {
+        const appDir = copyFixture('android-package/java');
+        moveAndroidPackage(appDir, detectOldPackage(appDir), 'com.acme.shop');
+        const javaDir = path.join(appDir, 'src', 'main', 'java');
+        assert.deepEqual(listTree(javaDir), ['com/acme/shop/MainActivity.java']);
+        assert.match(fs.readFileSync(path.join(javaDir, 'com', 'acme', 'shop', 'MainActivity.java'), 'utf8'), /^package com\.acme\.shop;\n/);
+        assert.deepEqual(fs.readdirSync(path.join(javaDir, 'com')), ['acme']);
+    });
+
+    it('moves into a package nested in the old one', () => {
+        const appDir = copyFixture('android-package/kotlin');
+        moveAndroidPackage(appDir, 'com.example.old_app', 'com.example.old_app.shop');
+        const kotlinDir = path.join(appDir, 'src', 'main', 'kotlin');
+        assert.deepEqual(listTree(kotlinDir), ['com/example/old_app/shop/MainActivity.kt', 'com/example/old_app/shop/util/Greeting.kt']);
+        const mainActivity = fs.readFileSync(path.join(kotlinDir, 'com', 'example', 'old_app', 'shop', 'MainActivity.kt'), 'utf8');
+        assert.match(mainActivity, /^package com\.example\.old_app\.shop\n\nimport com\.example\.old_app\.shop\.util\.greeting\n/);
+        assert.deepEqual(fs.readdirSync(path.join(kotlinDir, 'com', 'example', 'old_app')), ['shop']);
+    });
+
+    it('reads the package from MainActivity when Gradle names another one', () => {
+        const appDir = copyFixture('android-package/java');
+        fs.writeFileSync(path.join(appDir, 'build.gradle'), 'android {\n    namespace "com.example.renamed"\n}\n');
+        assert.equal(detectOldPackage(appDir), 'com.example.old_app');
+    });
+
+    it('refuses to move sources without a package line', () => {
+        const appDir = copyFixture('android-package/java');
+        const mainActivity = path.join(appDir, 'src', 'main', 'java', 'com', 'example', 'old_app', 'MainActivity.java');
+        fs.writeFileSync(mainActivity, fs.readFileSync(mainActivity, 'utf8').replace('package com.example.old_app;\n', ''));
+
+        assert.throws(() => moveAndroidPackage(appDir, detectOldPackage(appDir), 'com.acme.shop'),
+            new RegExp(`^Error: Cannot move the Android sources to "com\\.acme\\.shop"; these have no package line:\\n {2}${mainActivity.replace(/[.]/g, '\\.')}$`));
+        assert.ok(fs.existsSync(mainActivity), 'nothing is moved');
+
+        fs.removeSync(path.join(appDir, 'build.gradle'));
+        assert.throws(() => detectOldPackage(appDir), /Could not detect the Android package: .*MainActivity\.java has no package line\./);
+    });
+
+    it('fails clearly when there are no sources at all', () => {
+        assert.throws(() => detectOldPackage(makeScratchDir()), /Could not detect the Android package: no namespace\/applicationId with matching sources and no MainActivity/);
+    });
+});
@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadManifest } = require('../batch');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+describe('batch manifests', () => {
+    let dir;
+    const write = (fileName, content) => {
+        const manifestPath = path.join(dir, fileName);
+        fs.writeFileSync(manifestPath, typeof content === 'string' ? content : JSON.stringify(content));
+        return manifestPath;
+    };
+
+    beforeEach(() => {
+        setUpTest();
+        dir = makeScratchDir();
+    });
+    afterEach(tearDownTest);
+
+    it('reads flavor names and paths relative to the manifest', () => {
+        const manifestPath = write('batch.yaml', 'flavors:\n  - ccp\n  - flavors/other.json\nplatforms: [ios]\n');
+        assert.deepEqual(loadManifest(manifestPath), { flavors: ['ccp', path.join(dir, 'flavors', 'other.json')], platforms: ['ios'] });
+        assert.deepEqual(loadManifest(write('batch.json', ['ccp'])), { flavors: ['ccp'], platforms: undefined });
+    });
+
+    it('rejects entries that are not flavor names', () => {
+        assert.throws(() => loadManifest(write('batch.json', [{ flavor: 'a' }])), /^Error: Manifest .*batch\.json must list flavors as names or paths, not \{"flavor":"a"\}\.$/);
+        assert.throws(() => loadManifest(write('batch.json', ['ccp', 1, ' '])), /not 1, " "\./);
+        assert.throws(() => loadManifest(write('batch.json', [])), /must list at least one flavor/);
+        assert.throws(() => loadManifest(write('batch.yaml', '')), /must list at least one flavor/);
+    });
+
+    it('rejects platforms other than android and ios', () => {
+        assert.throws(() => loadManifest(write('batch.json', { flavors: ['ccp'], platforms: 'ios' })), /Manifest .* platforms: Platforms must be a non-empty list\./);
+        assert.throws(() => loadManifest(write('batch.json', { flavors: ['ccp'], platforms: ['android', 'web'] })), /Manifest .* platforms: Unknown platform\(s\): web\./);
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { dartString, applyConfigConstants, writeDartDefineFile } = require('../lib/dart-config');
+const { copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+describe('dartString', () => {
+    it('escapes quotes, interpolation and backslashes', () => {
+        assert.equal(dartString('it\'s $5 or ${price}'), String.raw`'it\'s \$5 or \${price}'`);
+        assert.equal(dartString('C:\\path'), String.raw`'C:\\path'`);
+    });
+
+    it('escapes line breaks and other control characters', () => {
+        assert.equal(dartString('a\nb\tc\r\x00\x7f'), String.raw`'a\nb\tc\r\x00\x7f'`);
+    });
+});
+
+describe('applyConfigConstants', () => {
+    let projectDir;
+    const readConfig = () => fs.readFileSync(path.join(projectDir, 'lib', 'config.dart'), 'utf8');
+
+    beforeEach(() => {
+        setUpTest();
+        projectDir = copyFixture('app');
+    });
+    afterEach(tearDownTest);
+
+    it('rewrites the constants in lib/config.dart', () => {
+        const filePath = applyConfigConstants(projectDir, { API_URL: 'https://shop.acme.com/it\'s/$id', OFFLINE_CATEGORY_ID: 7 });
+        assert.equal(filePath, path.join('lib', 'config.dart'));
+        assert.equal(readConfig(), [
+            '// App settings, rewritten per flavor by flutter-release',
+            String.raw`const String API_URL = 'https://shop.acme.com/it\'s/\$id';`,
+            'const int OFFLINE_CATEGORY_ID = 7;',
+            ''
+        ].join('\n'));
+    });
+
+    it('replaces a value spanning several lines with semicolons in it', () => {
+        fs.writeFileSync(path.join(projectDir, 'lib', 'config.dart'), [
+            'const String API_URL = \'https://a.example.com;v=1\' // old; host',
+            '    ;',
+            'const int OFFLINE_CATEGORY_ID = 1;',
+            ''
+        ].join('\n'));
+        applyConfigConstants(projectDir, { API_URL: 'https://b.example.com' });
+        assert.equal(readConfig(), 'const String API_URL = \'https://b.example.com\';\nconst int OFFLINE_CATEGORY_ID = 1;\n');
+    });
+
+    it('fails for a constant lib/config.dart does not declare and leaves the file alone', () => {
+        const before = readConfig();
+        assert.throws(() => applyConfigConstants(projectDir, { API_URL: 'https://shop.acme.com', SUPPORT_EMAIL: 'help@acme.com' }),
+            /^Error: Rewrite failed in .*config\.dart: SUPPORT_EMAIL expected 1 match, found 0\./);
+        assert.equal(readConfig(), before);
+    });
+
+    it('generates lib/flavor_config.g.dart', () => {
+        const filePath = applyConfigConstants(projectDir, { API_URL: '$HOST', RATE: { type: 'double', value: 2 }, TAGS: ['a\'b'] }, { mode: 'generate', flavorName: 'acme' });
+        assert.equal(filePath, path.join('lib', 'flavor_config.g.dart'));
+        assert.equal(fs.readFileSync(path.join(projectDir, filePath), 'utf8'), [
+            '// Generated by flutter-release for the flavor "acme". Do not edit.',
+            '// ignore_for_file: constant_identifier_names',
+            '',
+            String.raw`const String API_URL = '\$HOST';`,
+            'const double RATE = 2.0;',
+            String.raw`const List<String> TAGS = <String>['a\'b'];`,
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects invalid constants and modes', () => {
+        assert.throws(() => applyConfigConstants(projectDir, { 'not-a-name': 1 }), /Invalid config constants: not-a-name: Not a valid Dart identifier\./);
+        assert.throws(() => applyConfigConstants(projectDir, { API_URL: 1 }, { mode: 'inline' }), /Config mode must be one of rewrite, generate, dart-define\./);
+        assert.throws(() => applyConfigConstants(projectDir, { API_URL: 1 }, { mode: 'dart-define' }), /use writeDartDefineFile/);
+    });
+});
+
+describe('writeDartDefineFile', () => {
+    let projectDir;
+
+    beforeEach(() => {
+        setUpTest();
+        projectDir = copyFixture('app');
+    });
+    afterEach(tearDownTest);
+
+    it('writes the constants as JSON at the project root', () => {
+        const filePath = writeDartDefineFile(projectDir, { API_URL: 'https://shop.acme.com/$id', OFFLINE_CATEGORY_ID: 7, RATE: { type: 'double', value: 2 }, BETA: false });
+        assert.equal(filePath, 'flavor_defines.json');
+        assert.deepEqual(fs.readJsonSync(path.join(projectDir, filePath)), { API_URL: 'https://shop.acme.com/$id', OFFLINE_CATEGORY_ID: 7, RATE: 2, BETA: false });
+        assert.equal(console.warn.mock.callCount(), 0);
+    });
+
+    it('warns about environment keys read anywhere under lib/ that the flavor does not give', () => {
+        fs.outputFileSync(path.join(projectDir, 'lib', 'src', 'env', 'keys.dart'), [
+            'const sentryDsn = String.fromEnvironment(\'SENTRY_DSN\');',
+            'const hasApi = bool.hasEnvironment("API_URL");',
+            'const retries = int.fromEnvironment(\'RETRIES\', defaultValue: 3);',
+            ''
+        ].join('\n'));
+        fs.outputFileSync(path.join(projectDir, 'lib', 'src', 'notes.txt'), 'String.fromEnvironment(\'IGNORED\')');
+        writeDartDefineFile(projectDir, { API_URL: 'https://shop.acme.com' });
+
+        const [[message]] = console.warn.mock.calls.map(call => call.arguments);
+        const keysFile = path.join('lib', 'src', 'env', 'keys.dart');
+        assert.equal(message, `Warning: lib/ reads 2 environment key(s) the flavor does not define:\n  SENTRY_DSN (${keysFile}:1)\n  RETRIES (${keysFile}:3)`);
+    });
+
+    it('refuses lists, which --dart-define-from-file cannot pass', () => {
+        assert.throws(() => writeDartDefineFile(projectDir, { API_URL: 'x', TAGS: ['a'], HOSTS: ['b'] }), /only takes strings, numbers and booleans; TAGS, HOSTS are lists\./);
+        assert.equal(fs.existsSync(path.join(projectDir, 'flavor_defines.json')), false);
+    });
+});
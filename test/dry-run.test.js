@@ -0,0 +1,67 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess } = require('../lib/process');
+const { makeScratchDir, copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+const androidScript = path.join(__dirname, '..', 'android.js');
+
+describe('android.js --dry-run', () => {
+    let appDir;
+    let tmpDir;
+
+    // Dry-run the Android release of the fixture app, with its own temporary
+    // folder so a leaked scratch copy shows up
+    const dryRun = (flavor = {}) => {
+        const flavorPath = path.join(makeScratchDir(), 'acme.json');
+        fs.writeJsonSync(flavorPath, {
+            bundleId: 'com.acme.shop',
+            appName: 'Acme Shop',
+            source: appDir,
+            buildMode: 'Debug',
+            config: { API_URL: 'https://api.acme.test', OFFLINE_CATEGORY_ID: 7 },
+            ...flavor
+        });
+        return runProcess(process.execPath, [androidScript, '--dry-run', '--non-interactive', '--flavor', flavorPath], {
+            env: { ...process.env, TMPDIR: tmpDir },
+            quiet: true,
+            allowFailure: true
+        });
+    };
+
+    beforeEach(() => {
+        setUpTest();
+        appDir = copyFixture('app');
+        tmpDir = makeScratchDir();
+    });
+    afterEach(tearDownTest);
+
+    it('prints the edits and leaves the app and the temporary folder as they were', async () => {
+        const { exitCode, stdout } = await dryRun();
+        assert.equal(exitCode, 0, stdout);
+        assert.match(stdout, /\n-const String API_URL = 'https:\/\/www\.example\.com';\n/);
+        assert.match(stdout, /\n\+const String API_URL = 'https:\/\/api\.acme\.test';\n/);
+        assert.match(stdout, /\+package com\.acme\.shop/);
+        assert.match(stdout, /Every replacement matched\./);
+        assert.match(fs.readFileSync(path.join(appDir, 'lib', 'config.dart'), 'utf8'), /www\.example\.com/);
+        assert.deepEqual(fs.readdirSync(tmpDir), []);
+    });
+
+    it('exits non-zero when the template drifted', async () => {
+        fs.writeFileSync(path.join(appDir, 'lib', 'config.dart'), 'const int OFFLINE_CATEGORY_ID = 1;\n');
+        const { exitCode, stdout, stderr } = await dryRun();
+        assert.equal(exitCode, 1);
+        assert.match(stdout, /1 replacement\(s\) did not match as expected:\n.*lib\/config\.dart.*API_URL/);
+        assert.match(stderr, /Dry run found 1 replacement\(s\) that did not match\./);
+        assert.deepEqual(fs.readdirSync(tmpDir), []);
+    });
+
+    it('removes the scratch copy when an edit fails', async () => {
+        fs.removeSync(path.join(appDir, 'android', 'app', 'src', 'main', 'kotlin'));
+        const { exitCode, stderr } = await dryRun();
+        assert.equal(exitCode, 1);
+        assert.match(stderr, /MainActivity/);
+        assert.deepEqual(fs.readdirSync(tmpDir), []);
+    });
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Writes the APK and AAB fixtures next to this script. The manifests are
+// encoded by hand, as aapt2 would, and packed with the zip command line tool
+// so the archives carry its extra fields. Run again after changing them.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const androidUri = 'http://schemas.android.com/apk/res/android';
+const attributeIds = { label: 0x01010001, versionCode: 0x0101021b, versionName: 0x0101021c, icon: 0x01010002, minSdkVersion: 0x0101020c };
+const noIndex = 0xffffffff;
+
+function chunk(type, headerSize, body) {
+    const header = Buffer.alloc(8);
+    header.writeUInt16LE(type, 0);
+    header.writeUInt16LE(headerSize, 2);
+    header.writeUInt32LE(8 + body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+function u32(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeUInt32LE(value >>> 0, i * 4));
+    return buffer;
+}
+
+function u16(...values) {
+    const buffer = Buffer.alloc(values.length * 2);
+    values.forEach((value, i) => buffer.writeUInt16LE(value, i * 2));
+    return buffer;
+}
+
+function encodePoolString(text, utf8) {
+    if (utf8) {
+        const bytes = Buffer.from(text, 'utf8');
+        return Buffer.concat([Buffer.from([text.length, bytes.length]), bytes, Buffer.from([0])]);
+    }
+    return Buffer.concat([u16(text.length), Buffer.from(text, 'utf16le'), u16(0)]);
+}
+
+function stringPool(strings, utf8) {
+    const encoded = strings.map(text => encodePoolString(text, utf8));
+    const offsets = [];
+    let position = 0;
+    for (const data of encoded) {
+        offsets.push(position);
+        position += data.length;
+    }
+    let data = Buffer.concat(encoded);
+    data = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+    const headerSize = 28;
+    const body = Buffer.concat([
+        u32(strings.length, 0, utf8 ? 0x100 : 0, headerSize + strings.length * 4, 0),
+        u32(...offsets),
+        data
+    ]);
+    return chunk(0x0001, headerSize, body);
+}
+
+// A binary XML manifest; attributes are [name, { raw } | { type, data }]
+function binaryManifest({ utf8, packageName, versionCode, versionName, label }) {
+    const strings = ['label', 'versionCode', 'versionName', 'package', androidUri, 'android', 'manifest', 'application', packageName, versionName];
+    if (typeof label === 'string') {
+        strings.push(label);
+    }
+    const index = (text) => strings.indexOf(text);
+    const androidNs = index(androidUri);
+
+    const attribute = (ns, name, value) => {
+        const raw = value.raw === undefined ? noIndex : index(value.raw);
+        const type = value.raw === undefined ? value.type : 0x03;
+        const data = value.raw === undefined ? value.data : index(value.raw);
+        return Buffer.concat([u32(ns, index(name), raw), u16(8), Buffer.from([0, type]), u32(data)]);
+    };
+    const startElement = (name, attributes) => chunk(0x0102, 16, Buffer.concat([
+        u32(1, noIndex),
+        u32(noIndex, index(name)),
+        u16(20, 20, attributes.length, 0, 0, 0),
+        ...attributes
+    ]));
+    const endElement = (name) => chunk(0x0103, 16, u32(1, noIndex, noIndex, index(name)));
+
+    const labelValue = typeof label === 'string' ? { raw: label } : { type: 0x01, data: label.reference };
+    const body = Buffer.concat([
+        stringPool(strings, utf8),
+        chunk(0x0180, 8, u32(attributeIds.label, attributeIds.versionCode, attributeIds.versionName)),
+        chunk(0x0100, 16, u32(1, noIndex, index('android'), androidNs)),
+        startElement('manifest', [
+            attribute(androidNs, 'versionCode', { type: 0x10, data: versionCode }),
+            attribute(androidNs, 'versionName', { raw: versionName }),
+            attribute(noIndex, 'package', { raw: packageName })
+        ]),
+        startElement('application', [attribute(androidNs, 'label', labelValue)]),
+        endElement('application'),
+        endElement('manifest'),
+        chunk(0x0101, 16, u32(1, noIndex, index('android'), androidNs))
+    ]);
+    return chunk(0x0003, 8, body);
+}
+
+function varint(value) {
+    const bytes = [];
+    do {
+        bytes.push((value % 128) | (value >= 128 ? 0x80 : 0));
+        value = Math.floor(value / 128);
+    } while (value > 0);
+    return Buffer.from(bytes);
+}
+
+// Protocol buffer field: a number, a string or a nested message (Buffer)
+function field(number, value) {
+    if (typeof value === 'number') {
+        return Buffer.concat([varint(number * 8), varint(value)]);
+    }
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+    return Buffer.concat([varint(number * 8 + 2), varint(data.length), data]);
+}
+
+// aapt.pb.XmlAttribute with its source string and/or compiled item
+function protoAttribute(name, { value, reference, integer }) {
+    const parts = [field(1, androidUri), field(2, name)];
+    if (value !== undefined) {
+        parts.push(field(3, value));
+    }
+    parts.push(field(5, attributeIds[name]));
+    if (reference !== undefined) {
+        parts.push(field(6, field(1, field(2, reference))));
+    } else if (integer !== undefined) {
+        parts.push(field(6, field(7, field(6, integer))));
+    }
+    return field(4, Buffer.concat(parts));
+}
+
+// aapt.pb.XmlNode of an element with attributes and child nodes
+function protoElement(name, attributes, children = []) {
+    return field(1, Buffer.concat([field(3, name), ...attributes, ...children.map(child => field(5, child))]));
+}
+
+function protoManifest({ packageName, versionCode, versionName, label }) {
+    const packageAttribute = field(4, Buffer.concat([field(2, 'package'), field(3, packageName)]));
+    return protoElement('manifest', [
+        protoAttribute('versionCode', { value: String(versionCode), integer: versionCode }),
+        protoAttribute('versionName', { value: versionName }),
+        packageAttribute
+    ], [
+        protoElement('uses-sdk', [protoAttribute('minSdkVersion', { integer: 21 })]),
+        protoElement('application', [protoAttribute('label', { value: label }), protoAttribute('icon', { reference: 0x7f0d0000 })])
+    ]);
+}
+
+// Pack files into an archive with the zip tool; `stored` entries are not
+// compressed
+function pack(archivePath, files, stored = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-fixtures-'));
+    try {
+        fs.removeSync(archivePath);
+        for (const [level, entries] of [['-9', files], ['-0', stored]]) {
+            for (const [name, data] of Object.entries(entries)) {
+                fs.outputFileSync(path.join(workDir, name), data);
+            }
+            if (Object.keys(entries).length > 0) {
+                execFileSync('zip', ['-q', level, archivePath, ...Object.keys(entries)], { cwd: workDir });
+            }
+        }
+    } finally {
+        fs.removeSync(workDir);
+    }
+}
+
+const release = { packageName: 'com.acme.shop', versionCode: 42, versionName: '2.1.0' };
+pack(path.join(__dirname, 'utf8.apk'), {
+    'AndroidManifest.xml': binaryManifest({ ...release, utf8: true, label: 'Acme Café' })
+}, {
+    'res/raw/notes.txt': 'stored, not deflated\n'
+});
+pack(path.join(__dirname, 'utf16.apk'), {
+    'AndroidManifest.xml': binaryManifest({ ...release, utf8: false, label: { reference: 0x7f0e0001 } })
+});
+pack(path.join(__dirname, 'app.aab'), {
+    'base/manifest/AndroidManifest.xml': protoManifest({ ...release, label: 'Acme Shop' }),
+    'BundleConfig.pb': Buffer.alloc(0)
+});
+pack(path.join(__dirname, 'no-manifest.apk'), {
+    'classes.dex': 'dex\n035\0'
+});
@@ -0,0 +1,6 @@
+package com.example.old_app;
+
+import io.flutter.embedding.android.FlutterActivity;
+
+public class MainActivity extends FlutterActivity {
+}
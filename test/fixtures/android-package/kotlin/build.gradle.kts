@@ -0,0 +1,7 @@
+android {
+    namespace = "com.example.old_app"
+
+    defaultConfig {
+        applicationId = "com.example.old_app"
+    }
+}
@@ -0,0 +1,8 @@
+package com.example.old_app
+
+import com.example.old_app.util.greeting
+import io.flutter.embedding.android.FlutterActivity
+
+class MainActivity: FlutterActivity() {
+    val title = greeting()
+}
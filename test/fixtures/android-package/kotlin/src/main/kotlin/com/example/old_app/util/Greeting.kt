@@ -0,0 +1,3 @@
+package com.example.old_app.util
+
+fun greeting() = "Hello"
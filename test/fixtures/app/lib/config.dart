@@ -0,0 +1,3 @@
+// App settings, rewritten per flavor by flutter-release
+const String API_URL = 'https://www.example.com';
+const int OFFLINE_CATEGORY_ID = 1;
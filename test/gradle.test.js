@@ -0,0 +1,153 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { findGradleProject, updateGradleIds, updateGradleVersion, ensureReleaseSigning } = require('../lib/gradle');
+const { copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+const dialects = [
+    { dialect: 'groovy', buildFile: 'build.gradle', releaseReference: 'signingConfig signingConfigs.release' },
+    { dialect: 'kotlin', buildFile: 'build.gradle.kts', releaseReference: 'signingConfig = signingConfigs.getByName("release")' }
+];
+
+for (const { dialect, buildFile, releaseReference } of dialects) {
+    describe(`lib/gradle.js with ${buildFile}`, () => {
+        let appDir;
+        const read = () => fs.readFileSync(path.join(appDir, buildFile), 'utf8');
+
+        beforeEach(() => {
+            setUpTest();
+            appDir = copyFixture(path.join('gradle', dialect));
+        });
+        afterEach(tearDownTest);
+
+        it('detects the dialect', () => {
+            assert.equal(findGradleProject(appDir).dialect, dialect);
+        });
+
+        it('rewrites namespace and applicationId, keeping the operator', () => {
+            updateGradleIds(appDir, 'com.acme.shop');
+            const content = read();
+            const operator = dialect === 'groovy' ? ' ' : ' = ';
+            assert.match(content, new RegExp(`^ {4}namespace${operator}"com\\.acme\\.shop"$`, 'm'));
+            assert.match(content, new RegExp(`^ {8}applicationId${operator}"com\\.acme\\.shop"$`, 'm'));
+            assert.doesNotMatch(content, /com\.example\.old_app/);
+        });
+
+        it('replaces the version expressions in defaultConfig', () => {
+            updateGradleVersion(appDir, '2.1.0', 42);
+            const content = read();
+            const operator = dialect === 'groovy' ? ' ' : ' = ';
+            assert.match(content, new RegExp(`^ {8}versionCode${operator}42$`, 'm'));
+            assert.match(content, new RegExp(`^ {8}versionName${operator}"2\\.1\\.0"$`, 'm'));
+        });
+
+        it('adds release signing and leaves a signed file alone', () => {
+            ensureReleaseSigning(appDir);
+            const content = read();
+            assert.match(content, /keystoreProperties\.load\(/);
+            assert.match(content, /signingConfigs \{/);
+            assert.ok(content.includes(releaseReference));
+            assert.ok(!/signingConfigs\.(debug|getByName\("debug"\))/.test(content));
+            // signingConfigs has to be declared before buildTypes uses it
+            assert.ok(content.indexOf('signingConfigs {') < content.indexOf('buildTypes {'));
+
+            ensureReleaseSigning(appDir);
+            assert.equal(read(), content);
+        });
+
+        it('fails loudly when a property is missing', () => {
+            const filePath = path.join(appDir, buildFile);
+            fs.writeFileSync(filePath, read().replace(/^\s*applicationId.*\n/m, ''));
+            assert.throws(() => updateGradleIds(appDir, 'com.acme.shop'), /Rewrite failed in .*applicationId expected 1 match, found 0/s);
+        });
+
+        it('fails loudly without an android block', () => {
+            fs.writeFileSync(path.join(appDir, buildFile), 'flutter {\n    source = "../.."\n}\n');
+            assert.throws(() => ensureReleaseSigning(appDir), /No android \{ \} block found/);
+        });
+    });
+}
+
+// Build files whose release signing was set up by hand
+const signedByHand = {
+    groovy: [
+        "def keystoreProperties = new Properties()",
+        "keystoreProperties.load(new FileInputStream(rootProject.file('key.properties')))",
+        '',
+        'android {',
+        '    signingConfigs {',
+        '        release {',
+        "            keyAlias keystoreProperties['keyAlias']",
+        "            storeFile file(keystoreProperties['storeFile'])",
+        '        }',
+        '    }',
+        '',
+        '    buildTypes {',
+        '        release {',
+        '            minifyEnabled true',
+        '            signingConfig signingConfigs.release',
+        '        }',
+        '    }',
+        '}',
+        ''
+    ].join('\n'),
+    kotlin: [
+        'import java.util.Properties',
+        '',
+        'val keystoreProperties = Properties()',
+        '',
+        'android {',
+        '    signingConfigs {',
+        '        create("release") {',
+        '            keyAlias = keystoreProperties["keyAlias"] as String',
+        '        }',
+        '    }',
+        '',
+        '    buildTypes {',
+        '        getByName("release") {',
+        '            isMinifyEnabled = true',
+        '            signingConfig = signingConfigs.getByName("release")',
+        '        }',
+        '    }',
+        '}',
+        ''
+    ].join('\n')
+};
+
+for (const { dialect, buildFile } of dialects) {
+    describe(`ensureReleaseSigning with a release signingConfig in ${buildFile}`, () => {
+        let filePath;
+
+        beforeEach(() => {
+            setUpTest();
+            filePath = path.join(copyFixture(path.join('gradle', dialect)), buildFile);
+        });
+        afterEach(tearDownTest);
+
+        it('leaves a file that already signs with it alone', () => {
+            fs.writeFileSync(filePath, signedByHand[dialect]);
+            ensureReleaseSigning(path.dirname(filePath));
+            ensureReleaseSigning(path.dirname(filePath));
+            assert.equal(fs.readFileSync(filePath, 'utf8'), signedByHand[dialect]);
+        });
+
+        it('points the release build type at it without declaring it twice', () => {
+            const debugReference = dialect === 'groovy' ? 'signingConfigs.debug' : 'signingConfigs.getByName("debug")';
+            const releaseReference = dialect === 'groovy' ? 'signingConfigs.release' : 'signingConfigs.getByName("release")';
+            fs.writeFileSync(filePath, signedByHand[dialect].replace(releaseReference, debugReference));
+            ensureReleaseSigning(path.dirname(filePath));
+            const content = fs.readFileSync(filePath, 'utf8');
+            assert.equal(content, signedByHand[dialect]);
+
+            ensureReleaseSigning(path.dirname(filePath));
+            assert.equal(fs.readFileSync(filePath, 'utf8'), content);
+        });
+    });
+}
+
+describe('findGradleProject', () => {
+    it('fails without a build file', () => {
+        assert.throws(() => findGradleProject(path.join(__dirname, 'fixtures')), /No build\.gradle or build\.gradle\.kts found/);
+    });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const { resetJournal } = require('../lib/rewrite');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const stubPath = path.join(fixturesDir, 'bin', 'record-args');
+const scratchDirs = [];
+let savedEnv = null;
+
+// A fresh temporary folder, removed after the test
+function makeScratchDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-release-test-'));
+    scratchDirs.push(dir);
+    return dir;
+}
+
+// Copy a fixture folder into a fresh temporary folder and return the copy
+function copyFixture(name) {
+    const dir = path.join(makeScratchDir(), path.basename(name));
+    fs.copySync(path.join(fixturesDir, name), dir);
+    return dir;
+}
+
+// Put stub executables with the given names first on the PATH. Each call is
+// recorded; `calls()` returns { command, argv, cwd, env } per call.
+function installStubCommands(names) {
+    const binDir = makeScratchDir();
+    const recordPath = path.join(binDir, 'calls.jsonl');
+    for (const name of names) {
+        fs.symlinkSync(stubPath, path.join(binDir, name));
+    }
+    savedEnv = savedEnv || { ...process.env };
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+    process.env.STUB_RECORD = recordPath;
+    return {
+        binDir,
+        calls: () => (fs.existsSync(recordPath)
+            ? fs.readFileSync(recordPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+            : [])
+    };
+}
+
+// Start every test with a strict journal and without the progress messages
+function setUpTest() {
+    resetJournal();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+}
+
+function tearDownTest() {
+    mock.restoreAll();
+    if (savedEnv) {
+        for (const key of Object.keys(process.env).filter(key => !(key in savedEnv))) {
+            delete process.env[key];
+        }
+        Object.assign(process.env, savedEnv);
+        savedEnv = null;
+    }
+    for (const dir of scratchDirs.splice(0)) {
+        fs.removeSync(dir);
+    }
+}
+
+module.exports = { fixturesDir, stubPath, makeScratchDir, copyFixture, installStubCommands, setUpTest, tearDownTest };
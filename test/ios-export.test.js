@@ -0,0 +1,107 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { exportOptions, writeExportOptions, buildArgs, exportArchiveArgs, exportArchive, archivePath } = require('../lib/ios-export');
+const { resolveSigningProfile } = require('../lib/ios-signing');
+const { readPlist } = require('../lib/plist');
+const { makeScratchDir, installStubCommands, setUpTest, tearDownTest } = require('./helpers');
+
+const teamId = 'ABCDE12345';
+const bundleName = 'com.acme.shop';
+
+// The signing styles a flavor can ask for, with what each should export with
+const signingStyles = {
+    Automatic: {
+        signing: null,
+        exportSettings: {},
+        options: { method: 'app-store', teamID: teamId, signingStyle: 'automatic', uploadSymbols: true, compileBitcode: false },
+        archiveArgs: ['-workspace', 'ios/Runner.xcworkspace', '-scheme', 'Runner', '-sdk', 'iphoneos', '-configuration', 'Release', 'archive', '-archivePath', 'ios/Runner.xcarchive', '-allowProvisioningUpdates'],
+        exportArgs: ['-exportArchive', '-archivePath', 'ios/Runner.xcarchive', '-exportPath', 'build/ios/ipa', '-exportOptionsPlist', 'ios/ExportOptions.plist', '-allowProvisioningUpdates']
+    },
+    Manual: {
+        signing: { style: 'Manual', provisioningProfiles: { Release: 'Acme Ad Hoc' } },
+        exportSettings: { method: 'ad-hoc', uploadSymbols: false },
+        options: {
+            method: 'ad-hoc',
+            teamID: teamId,
+            signingStyle: 'manual',
+            uploadSymbols: false,
+            compileBitcode: false,
+            signingCertificate: 'Apple Distribution',
+            provisioningProfiles: { [bundleName]: 'Acme Ad Hoc' }
+        },
+        archiveArgs: ['-workspace', 'ios/Runner.xcworkspace', '-scheme', 'Runner', '-sdk', 'iphoneos', '-configuration', 'Release', 'archive', '-archivePath', 'ios/Runner.xcarchive'],
+        exportArgs: ['-exportArchive', '-archivePath', 'ios/Runner.xcarchive', '-exportPath', 'build/ios/ipa', '-exportOptionsPlist', 'ios/ExportOptions.plist']
+    }
+};
+
+describe('lib/ios-export.js', () => {
+    let stub;
+    let projectDir;
+
+    beforeEach(() => {
+        setUpTest();
+        stub = installStubCommands(['xcodebuild']);
+        projectDir = makeScratchDir();
+    });
+    afterEach(tearDownTest);
+
+    for (const [style, expected] of Object.entries(signingStyles)) {
+        describe(`${style} signing`, () => {
+            let profile;
+            let options;
+
+            beforeEach(() => {
+                profile = resolveSigningProfile(expected.signing, teamId);
+                options = exportOptions(bundleName, profile, expected.exportSettings);
+            });
+
+            it('writes ExportOptions.plist', () => {
+                assert.deepEqual(options, expected.options);
+                const filePath = writeExportOptions(projectDir, options);
+                assert.equal(filePath, path.join(projectDir, 'ios', 'ExportOptions.plist'));
+                assert.deepEqual(readPlist(filePath), expected.options);
+            });
+
+            it('archives and exports with xcodebuild', async () => {
+                assert.deepEqual(buildArgs('Release', profile), expected.archiveArgs);
+                assert.deepEqual(exportArchiveArgs(archivePath, options), expected.exportArgs);
+
+                process.env.STUB_CREATE = path.join('build', 'ios', 'ipa', 'Acme Shop.ipa');
+                const ipaPath = await exportArchive(projectDir, archivePath, options);
+                assert.equal(ipaPath, path.join(projectDir, 'build', 'ios', 'ipa', 'Acme Shop.ipa'));
+                const [call] = stub.calls();
+                assert.equal(call.command, 'xcodebuild');
+                assert.equal(call.cwd, projectDir);
+                assert.deepEqual(call.argv, expected.exportArgs);
+            });
+        });
+    }
+
+    it('builds Debug for the simulator', () => {
+        assert.deepEqual(buildArgs('Debug', resolveSigningProfile(null, teamId)), ['-workspace', 'ios/Runner.xcworkspace', '-scheme', 'Runner', '-sdk', 'iphonesimulator', '-configuration', 'Debug']);
+    });
+
+    it('runs the xcodebuild named by XCODEBUILD', async () => {
+        const other = path.join(stub.binDir, 'other xcodebuild');
+        fs.symlinkSync(path.join(stub.binDir, 'xcodebuild'), other);
+        process.env.XCODEBUILD = other;
+        process.env.STUB_CREATE = path.join('build', 'ios', 'ipa', 'Runner.ipa');
+        await exportArchive(projectDir, archivePath, exportOptions(bundleName, resolveSigningProfile(null, teamId)));
+        assert.equal(stub.calls()[0].command, 'other xcodebuild');
+    });
+
+    it('fails when the export writes no .ipa', async () => {
+        fs.outputFileSync(path.join(projectDir, 'build', 'ios', 'ipa', 'stale.ipa'), '');
+        await assert.rejects(
+            exportArchive(projectDir, archivePath, exportOptions(bundleName, resolveSigningProfile(null, teamId))),
+            /xcodebuild -exportArchive did not write an \.ipa/
+        );
+    });
+
+    it('rejects unknown export settings', () => {
+        assert.throws(() => exportOptions(bundleName, resolveSigningProfile(null, teamId), { method: 'store', uploadSymbols: 'yes' }),
+            /Invalid iOS export settings: method: Must be one of .*uploadSymbols: Must be true or false\./);
+    });
+});
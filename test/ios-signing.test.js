@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { resolveSigningProfile, validateSigning, writeSigningXcconfig, applySigningToRunner } = require('../lib/ios-signing');
+const { openProject, getBuildSetting } = require('../lib/pbxproj');
+const { copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+const runnerConfigurations = { Debug: '97C147061CF9000F007C117D', Release: '97C147071CF9000F007C117D', Profile: '249021D4217E4FDB00AE95B9' };
+const teamId = 'ABCDE12345';
+
+describe('lib/ios-signing.js', () => {
+    let projectDir;
+
+    beforeEach(() => {
+        setUpTest();
+        projectDir = path.dirname(copyFixture('ios'));
+    });
+    afterEach(tearDownTest);
+
+    const applyToRunner = (profile) => {
+        const project = openProject(path.join(projectDir, 'ios', 'Runner.xcodeproj', 'project.pbxproj'));
+        applySigningToRunner(project, profile);
+        return (name, key) => getBuildSetting(project, runnerConfigurations[name], key);
+    };
+
+    it('signs every configuration automatically by default', () => {
+        const profile = resolveSigningProfile(null, teamId);
+        const setting = applyToRunner(profile);
+        for (const name of Object.keys(runnerConfigurations)) {
+            assert.equal(setting(name, 'DEVELOPMENT_TEAM'), teamId);
+            assert.equal(setting(name, 'CODE_SIGN_STYLE'), 'Automatic');
+            assert.equal(setting(name, 'CODE_SIGN_IDENTITY'), 'Apple Development');
+            assert.equal(setting(name, 'PROVISIONING_PROFILE_SPECIFIER'), undefined);
+        }
+    });
+
+    it('keeps configurations without a profile on automatic signing', () => {
+        const profile = resolveSigningProfile({ style: 'Manual', provisioningProfiles: { Release: 'Acme App Store' } }, teamId);
+        assert.deepEqual(profile.styles, { Debug: 'Automatic', Release: 'Manual', Profile: 'Automatic' });
+
+        const setting = applyToRunner(profile);
+        assert.equal(setting('Release', 'CODE_SIGN_STYLE'), 'Manual');
+        assert.equal(setting('Release', 'CODE_SIGN_IDENTITY'), 'Apple Distribution');
+        assert.equal(setting('Release', 'PROVISIONING_PROFILE_SPECIFIER'), 'Acme App Store');
+        for (const name of ['Debug', 'Profile']) {
+            assert.equal(setting(name, 'CODE_SIGN_STYLE'), 'Automatic');
+            assert.equal(setting(name, 'CODE_SIGN_IDENTITY'), 'Apple Development');
+            assert.equal(setting(name, 'PROVISIONING_PROFILE_SPECIFIER'), undefined);
+        }
+
+        writeSigningXcconfig(projectDir, profile);
+        assert.equal(fs.readFileSync(path.join(projectDir, 'ios', 'config', 'build.xcconfig'), 'utf8'), [
+            'DEVELOPMENT_TEAM = ABCDE12345',
+            'CODE_SIGN_STYLE[config=Debug] = Automatic',
+            'CODE_SIGN_IDENTITY[config=Debug] = Apple Development',
+            'CODE_SIGN_STYLE[config=Release] = Manual',
+            'CODE_SIGN_IDENTITY[config=Release] = Apple Distribution',
+            'PROVISIONING_PROFILE_SPECIFIER[config=Release] = Acme App Store',
+            'CODE_SIGN_STYLE[config=Profile] = Automatic',
+            'CODE_SIGN_IDENTITY[config=Profile] = Apple Development',
+            ''
+        ].join('\n'));
+        for (const fileName of ['Debug.xcconfig', 'Release.xcconfig']) {
+            assert.equal(fs.readFileSync(path.join(projectDir, 'ios', 'Flutter', fileName), 'utf8'), '#include "Generated.xcconfig"\n#include? "../config/build.xcconfig"\n');
+        }
+    });
+
+    it('signs every configuration with a profile manually', () => {
+        const profile = resolveSigningProfile({
+            style: 'Manual',
+            identity: 'Apple Distribution: Acme Inc (ABCDE12345)',
+            provisioningProfiles: 'Acme Ad Hoc'
+        }, teamId);
+        const setting = applyToRunner(profile);
+        for (const name of Object.keys(runnerConfigurations)) {
+            assert.equal(setting(name, 'CODE_SIGN_STYLE'), 'Manual');
+            assert.equal(setting(name, 'CODE_SIGN_IDENTITY'), 'Apple Distribution: Acme Inc (ABCDE12345)');
+            assert.equal(setting(name, 'PROVISIONING_PROFILE_SPECIFIER'), 'Acme Ad Hoc');
+        }
+    });
+
+    it('rejects manual signing without a Release profile', () => {
+        assert.match(validateSigning({ style: 'Manual', provisioningProfiles: { Debug: 'Dev' } }), /needs a provisioning profile for Release/);
+        assert.throws(() => resolveSigningProfile({ style: 'Manual' }, teamId), /Invalid iOS signing settings/);
+        assert.throws(() => resolveSigningProfile(null, 'nope'), /Invalid iOS signing team id "nope"/);
+    });
+});
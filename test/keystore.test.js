@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { registerKeystoreEntry, readKeyProperties, resolveKeyProperties } = require('../lib/keystore');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+// A registry entry in a scratch folder instead of keystores/
+function scratchEntry() {
+    const dir = makeScratchDir();
+    return {
+        bundleId: 'com.acme.test',
+        dir,
+        keystorePath: path.join(dir, 'release.jks'),
+        propertiesPath: path.join(dir, 'key.properties'),
+        metadataPath: path.join(dir, 'keystore.json')
+    };
+}
+
+describe('key.properties', () => {
+    beforeEach(setUpTest);
+    afterEach(tearDownTest);
+
+    // What java.util.Properties.load reads back from each written line
+    const passwords = [
+        ['plain', 'secret1', 'secret1'],
+        ['backslash', 'a\\b', 'a\\\\b'],
+        ['leading #', '#start', '\\#start'],
+        ['leading !', '!start', '\\!start'],
+        ['separators', 'k=v:w', 'k\\=v\\:w'],
+        ['surrounding spaces', ' spaced out ', '\\ spaced out\\ '],
+        ['non-ASCII', 'pässwörd', 'p\\u00e4ssw\\u00f6rd'],
+        ['tab', 'a\tb', 'a\\tb'],
+        ['dollar signs', '$&$1', '$&$1']
+    ];
+
+    for (const [name, password, written] of passwords) {
+        it(`escapes a password with ${name}`, () => {
+            const entry = scratchEntry();
+            registerKeystoreEntry(entry, { alias: 'upload key', password });
+            const lines = fs.readFileSync(entry.propertiesPath, 'utf8').split('\n');
+            assert.ok(lines.includes(`storePassword=${written}`), lines.join('\n'));
+            assert.ok(lines.includes(`keyPassword=${written}`));
+            assert.ok(lines.includes('keyAlias=upload key'));
+
+            const resolved = resolveKeyProperties(entry.propertiesPath);
+            assert.equal(resolved.password, password);
+            assert.equal(resolved.alias, 'upload key');
+        });
+    }
+
+    it('reads comments, separators and continued lines like java.util.Properties', () => {
+        const propertiesPath = path.join(makeScratchDir(), 'key.properties');
+        fs.writeFileSync(propertiesPath, [
+            '# comment',
+            '! another comment',
+            '   storePassword = pass\\',
+            '        word ',
+            'keyAlias:ccp',
+            'storeFile ../release.jks',
+            'keyPassword=\\u0041\\n'
+        ].join('\r\n'));
+        assert.deepEqual(readKeyProperties(propertiesPath), {
+            storePassword: 'password ',
+            keyAlias: 'ccp',
+            storeFile: '../release.jks',
+            keyPassword: 'A\n'
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+    openProject, saveProject, findNativeTarget, targetConfigurations,
+    getBuildSetting, setBuildSettings, removeFileReference, addFileReference
+} = require('../lib/pbxproj');
+const { copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+const runnerConfigurations = { Debug: '97C147061CF9000F007C117D', Release: '97C147071CF9000F007C117D', Profile: '249021D4217E4FDB00AE95B9' };
+
+describe('lib/pbxproj.js', () => {
+    let pbxprojPath;
+    let project;
+    const read = () => fs.readFileSync(pbxprojPath, 'utf8');
+
+    beforeEach(() => {
+        setUpTest();
+        pbxprojPath = path.join(copyFixture('ios'), 'Runner.xcodeproj', 'project.pbxproj');
+        project = openProject(pbxprojPath);
+    });
+    afterEach(tearDownTest);
+
+    it('finds the Runner target and its configurations', () => {
+        const runner = findNativeTarget(project, 'Runner');
+        assert.equal(runner, '97C146ED1CF9000F007C117D');
+        assert.deepEqual(targetConfigurations(project, runner), runnerConfigurations);
+        assert.equal(findNativeTarget(project, 'RunnerTests'), '331C8080294A63A400263BE5');
+        assert.equal(findNativeTarget(project, 'Missing', { optional: true }), null);
+        assert.throws(() => findNativeTarget(project, 'Missing'), /No native target named "Missing"/);
+    });
+
+    it('saves an untouched project byte for byte', () => {
+        const before = read();
+        saveProject(project);
+        assert.equal(read(), before);
+    });
+
+    it('sets build settings on the Runner configurations only', () => {
+        const ids = Object.values(runnerConfigurations);
+        setBuildSettings(project, ids, { PRODUCT_BUNDLE_IDENTIFIER: 'com.acme.shop', DEVELOPMENT_TEAM: 'ABCDE12345', IPHONEOS_DEPLOYMENT_TARGET: '13.0' });
+        saveProject(project);
+
+        const saved = openProject(pbxprojPath);
+        for (const id of ids) {
+            assert.equal(getBuildSetting(saved, id, 'PRODUCT_BUNDLE_IDENTIFIER'), 'com.acme.shop');
+            assert.equal(getBuildSetting(saved, id, 'DEVELOPMENT_TEAM'), 'ABCDE12345');
+            assert.equal(getBuildSetting(saved, id, 'IPHONEOS_DEPLOYMENT_TARGET'), '13.0');
+        }
+        // The project-level and test configurations are not touched
+        assert.equal(getBuildSetting(saved, '97C147031CF9000F007C117D', 'IPHONEOS_DEPLOYMENT_TARGET'), '12.0');
+        assert.equal(getBuildSetting(saved, '331C8088294A63A400263BE5', 'PRODUCT_BUNDLE_IDENTIFIER'), 'com.example.oldApp.RunnerTests');
+        assert.equal(read().match(/DEVELOPMENT_TEAM/g).length, 3);
+        // New settings go in alphabetical order, indented like their neighbours
+        assert.match(read(), /\t\t\t\tCURRENT_PROJECT_VERSION = "\$\(FLUTTER_BUILD_NUMBER\)";\n\t\t\t\tDEVELOPMENT_TEAM = ABCDE12345;\n\t\t\t\tENABLE_BITCODE = NO;/);
+    });
+
+    it('keeps build setting references and gives every configuration the same one', () => {
+        const ids = Object.values(runnerConfigurations);
+        // Older templates have no CURRENT_PROJECT_VERSION in Profile
+        project.text = project.text.replace(/(249021D4217E4FDB00AE95B9[\s\S]*?)\t\t\t\tCURRENT_PROJECT_VERSION = "\$\(FLUTTER_BUILD_NUMBER\)";\n/, '$1');
+        saveProject(project);
+        project = openProject(pbxprojPath);
+        assert.equal(getBuildSetting(project, runnerConfigurations.Profile, 'CURRENT_PROJECT_VERSION'), undefined);
+
+        setBuildSettings(project, ids, { MARKETING_VERSION: '2.1.0', CURRENT_PROJECT_VERSION: 42 }, { keepVariables: ['MARKETING_VERSION', 'CURRENT_PROJECT_VERSION'] });
+        for (const id of ids) {
+            assert.equal(getBuildSetting(project, id, 'CURRENT_PROJECT_VERSION'), '$(FLUTTER_BUILD_NUMBER)');
+            assert.equal(getBuildSetting(project, id, 'MARKETING_VERSION'), '2.1.0');
+        }
+    });
+
+    it('removes a file reference with its build files and list entries', () => {
+        assert.equal(removeFileReference(project, 'PrivacyInfo.xcprivacy'), 1);
+        saveProject(project);
+        const text = read();
+        assert.doesNotMatch(text, /PrivacyInfo|F5A1B2C3D4E5F60718293A4[BC]/);
+        assert.doesNotThrow(() => openProject(pbxprojPath));
+        assert.equal(removeFileReference(openProject(pbxprojPath), 'PrivacyInfo.xcprivacy'), 0);
+    });
+
+    it('adds a file reference to a group and a build phase', () => {
+        const runner = findNativeTarget(project, 'Runner');
+        const id = addFileReference(project, {
+            filePath: 'PrivacyInfo.xcprivacy',
+            groupPath: 'Runner',
+            fileType: 'text.xml',
+            targetId: runner,
+            buildPhase: 'PBXResourcesBuildPhase'
+        });
+        assert.match(id, /^[0-9A-F]{24}$/);
+        saveProject(project);
+
+        const text = read();
+        assert.match(text, new RegExp(`\\t\\t${id} /\\* PrivacyInfo\\.xcprivacy \\*/ = \\{isa = PBXFileReference; lastKnownFileType = text\\.xml; path = PrivacyInfo\\.xcprivacy; sourceTree = "<group>"; \\};\\n/\\* End PBXFileReference section \\*/`));
+        assert.equal(text.match(new RegExp(`${id} /\\* PrivacyInfo\\.xcprivacy \\*/,`, 'g')).length, 1);
+        const buildFile = text.match(new RegExp(`\\t\\t([0-9A-F]{24}) /\\* PrivacyInfo\\.xcprivacy in Resources \\*/ = \\{isa = PBXBuildFile; fileRef = ${id} `));
+        assert.ok(buildFile, 'a PBXBuildFile for the new reference');
+        assert.match(text, new RegExp(`\\t\\t\\t\\t${buildFile[1]} /\\* PrivacyInfo\\.xcprivacy in Resources \\*/,\\n\\t\\t\\t\\);\\n\\t\\t\\trunOnlyForDeploymentPostprocessing`));
+
+        // The result parses, and removing it again takes every trace with it
+        const reopened = openProject(pbxprojPath);
+        assert.equal(removeFileReference(reopened, 'PrivacyInfo.xcprivacy'), 2);
+        assert.doesNotMatch(reopened.text, /PrivacyInfo/);
+    });
+
+    it('fails clearly for a group or build phase that does not exist', () => {
+        assert.throws(() => addFileReference(project, { filePath: 'a.txt', groupPath: 'Nope' }), /No group "Nope"/);
+        assert.throws(() => addFileReference(project, {
+            filePath: 'a.txt',
+            targetId: findNativeTarget(project, 'RunnerTests'),
+            buildPhase: 'PBXFrameworksBuildPhase'
+        }), /has no PBXFrameworksBuildPhase/);
+    });
+});
@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { readPlist, updatePlist, buildPlist, parsePlist, nodeToValue } = require('../lib/plist');
+const { copyFixture, setUpTest, tearDownTest } = require('./helpers');
+
+describe('lib/plist.js', () => {
+    let plistPath;
+    const read = () => fs.readFileSync(plistPath, 'utf8');
+
+    beforeEach(() => {
+        setUpTest();
+        plistPath = path.join(copyFixture('ios'), 'Runner', 'Info.plist');
+    });
+    afterEach(tearDownTest);
+
+    it('leaves everything it does not change byte for byte', () => {
+        const before = read();
+        updatePlist(plistPath, { CFBundleName: 'Acme Shop' });
+        assert.equal(read(), before.replace('<string>old_app</string>', '<string>Acme Shop</string>'));
+    });
+
+    it('escapes names', () => {
+        updatePlist(plistPath, { CFBundleDisplayName: 'Acme & "Shop" <1>' });
+        assert.match(read(), /<string>Acme &amp; "Shop" &lt;1&gt;<\/string>/);
+        assert.equal(readPlist(plistPath).CFBundleDisplayName, 'Acme & "Shop" <1>');
+    });
+
+    it('keeps build setting references when asked to', () => {
+        const results = updatePlist(plistPath, { CFBundleVersion: '6' }, { keepVariables: ['CFBundleVersion'] });
+        assert.equal(results.CFBundleVersion, 'kept $(FLUTTER_BUILD_NUMBER)');
+        assert.equal(readPlist(plistPath).CFBundleVersion, '$(FLUTTER_BUILD_NUMBER)');
+    });
+
+    it('writes a number into a <string> as a string', () => {
+        fs.writeFileSync(plistPath, read().replace('<string>$(FLUTTER_BUILD_NUMBER)</string>', '<string>5</string>'));
+        updatePlist(plistPath, { CFBundleVersion: 6 }, { keepVariables: ['CFBundleVersion'] });
+        assert.match(read(), /<key>CFBundleVersion<\/key>\n\t<string>6<\/string>/);
+        assert.equal(readPlist(plistPath).CFBundleVersion, '6');
+    });
+
+    it('adds new keys at the end of the dict, indented like the others', () => {
+        updatePlist(plistPath, { ITSAppUsesNonExemptEncryption: false, LSApplicationQueriesSchemes: ['https'] });
+        assert.match(read(), /\t<true\/>\n\t<key>ITSAppUsesNonExemptEncryption<\/key>\n\t<false\/>\n\t<key>LSApplicationQueriesSchemes<\/key>\n\t<array>\n\t\t<string>https<\/string>\n\t<\/array>\n<\/dict>/);
+    });
+
+    it('builds a document that parses back to the same value', () => {
+        const value = { method: 'app-store', teamID: 'ABCDE12345', uploadSymbols: true, build: 7, provisioningProfiles: { 'com.acme.shop': 'Acme AppStore' } };
+        assert.deepEqual(nodeToValue(parsePlist(buildPlist(value))), value);
+    });
+});
@@ -0,0 +1,137 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const path = require('path');
+const { spawn } = require('child_process');
+const { runProcess, formatCommand } = require('../lib/process');
+const { generateKeystoreFile } = require('../lib/keystore');
+const { stubPath, installStubCommands, setUpTest, tearDownTest } = require('./helpers');
+
+// Arguments a shell would split, expand or choke on
+const awkwardArgs = ['two words', 'it\'s', '"double"', '$HOME', '`id`', 'a;b', '*', '', 'back\\slash', 'new\nline'];
+
+describe('runProcess', () => {
+    let stub;
+
+    beforeEach(() => {
+        setUpTest();
+        stub = installStubCommands(['tool']);
+    });
+    afterEach(tearDownTest);
+
+    it('passes every argument unchanged, without a shell', async () => {
+        await runProcess('tool', awkwardArgs, { quiet: true });
+        const [call] = stub.calls();
+        assert.equal(call.command, 'tool');
+        assert.deepEqual(call.argv, awkwardArgs);
+    });
+
+    it('runs in the given folder with the given environment', async () => {
+        await runProcess('tool', [], { cwd: stub.binDir, env: { ...process.env, SECRET_VALUE: 'p a"ss' }, quiet: true });
+        const [call] = stub.calls();
+        assert.equal(call.cwd, stub.binDir);
+        assert.equal(call.env.SECRET_VALUE, 'p a"ss');
+    });
+
+    it('captures output and redacts secrets', async () => {
+        process.env.STUB_STDOUT = 'password is hunter 2\n';
+        const { exitCode, stdout } = await runProcess('tool', ['hunter 2'], { quiet: true, secrets: ['hunter 2'] });
+        assert.equal(exitCode, 0);
+        assert.equal(stdout, 'password is ****\n');
+    });
+
+    it('rejects with the exit code and the end of stderr', async () => {
+        process.env.STUB_EXIT = '3';
+        process.env.STUB_STDERR = 'it broke\n';
+        await assert.rejects(runProcess('tool', ['some arg'], { quiet: true, label: 'Tool step' }), (error) => {
+            assert.equal(error.exitCode, 3);
+            assert.match(error.message, /^Tool step exited with code 3: tool 'some arg'\nit broke$/);
+            return true;
+        });
+    });
+
+    it('resolves a failure with allowFailure', async () => {
+        process.env.STUB_EXIT = '1';
+        const { exitCode } = await runProcess('tool', [], { quiet: true, allowFailure: true });
+        assert.equal(exitCode, 1);
+    });
+
+    it('reports a program that is not on the PATH', async () => {
+        await assert.rejects(runProcess('no-such-tool-here', [], { quiet: true }), /no-such-tool-here was not found on the PATH/);
+    });
+
+    it('stops a program that runs too long', async () => {
+        process.env.STUB_SLEEP = '10000';
+        await assert.rejects(runProcess('tool', [], { quiet: true, timeout: 200, label: 'Slow step' }), /Slow step timed out/);
+    });
+
+    it('runs a program given by path', async () => {
+        await runProcess(stubPath, ['x y'], { quiet: true });
+        assert.deepEqual(stub.calls()[0].argv, ['x y']);
+    });
+
+    it('forwards Ctrl-C to the child and exits once it has closed', async () => {
+        process.env.STUB_SLEEP = '10000';
+        process.env.STUB_SIGINT_DELAY = '300';
+        const script = `require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'process'))})`
+            + ".runProcess('tool', [], { quiet: true }).then(() => console.log('resolved'), () => console.log('rejected'));";
+        const parent = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        parent.stdout.on('data', (chunk) => { stdout += chunk; });
+        const closed = new Promise((resolve) => parent.on('close', (code, signal) => resolve({ code, signal })));
+
+        for (let waited = 0; stub.calls().length === 0; waited += 20) {
+            assert.ok(waited < 5000, 'the stub never started');
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        parent.kill('SIGINT');
+
+        assert.deepEqual(await closed, { code: 130, signal: null });
+        const [started, interrupted] = stub.calls();
+        assert.deepEqual(interrupted, { signal: 'SIGINT', pid: started.pid });
+        // The child is gone and the script did not carry on past the step
+        assert.throws(() => process.kill(started.pid, 0), { code: 'ESRCH' });
+        assert.equal(stdout, '');
+    });
+});
+
+describe('formatCommand', () => {
+    it('quotes arguments the way a shell would need them', () => {
+        assert.equal(formatCommand('tool', ['plain', 'two words', "it's", '']), "tool plain 'two words' 'it'\\''s' ''");
+    });
+
+    it('hides secrets', () => {
+        assert.equal(formatCommand('tool', ['--pass', 'p4ss word'], ['p4ss word']), "tool --pass '****'");
+    });
+});
+
+describe('generateKeystoreFile', () => {
+    let stub;
+
+    beforeEach(() => {
+        setUpTest();
+        stub = installStubCommands(['keytool']);
+    });
+    afterEach(tearDownTest);
+
+    it('gives keytool the password through the environment and escapes the DN', async () => {
+        const password = 'p "a" $s\\s w';
+        await generateKeystoreFile(path.join(stub.binDir, 'release key.jks'), {
+            keyAlias: 'upload key',
+            keyPassword: password,
+            validity: 10000,
+            name: 'Doe, Jane',
+            organizationUnit: 'Apps+Games',
+            organization: '"Acme"',
+            city: 'Vancouver',
+            state: 'BC',
+            countryCode: 'CA'
+        });
+        const [call] = stub.calls();
+        assert.equal(call.command, 'keytool');
+        assert.ok(!call.argv.some(arg => arg.includes(password)), 'the password must not be an argument');
+        assert.equal(call.env.FLUTTER_RELEASE_STOREPASS, password);
+        assert.equal(call.argv[call.argv.indexOf('-keystore') + 1], path.join(stub.binDir, 'release key.jks'));
+        assert.equal(call.argv[call.argv.indexOf('-alias') + 1], 'upload key');
+        assert.equal(call.argv[call.argv.indexOf('-dname') + 1], 'CN=Doe\\, Jane, OU=Apps\\+Games, O=\\"Acme\\", L=Vancouver, ST=BC, C=CA');
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { manifestFileName, findReleaseManifests, writeReleaseManifest, verifyReleaseManifest } = require('../lib/release-manifest');
+const { runProcess } = require('../lib/process');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+const releasesScript = path.join(__dirname, '..', 'releases.js');
+const release = { bundleId: 'com.acme.shop', appName: 'Acme Shop', versionName: '1.2.0', buildNumber: 8 };
+
+// Store fake artifacts in a release folder and write the platform's manifest.
+// A name with a slash is a file inside a folder artifact such as an .xcarchive.
+async function buildInto(dir, platform, buildMode, files) {
+    const artifacts = Object.entries(files).map(([name, content]) => {
+        fs.outputFileSync(path.join(dir, name), content);
+        return path.join(dir, name.split('/')[0]);
+    });
+    return writeReleaseManifest(dir, { platform, ...release, buildMode, sourceDir: dir, startedAt: new Date(), artifacts });
+}
+
+function verifyFolder(dir) {
+    return runProcess(process.execPath, [releasesScript, 'verify', dir], { quiet: true, allowFailure: true });
+}
+
+describe('release manifests', () => {
+    let dir;
+
+    beforeEach(() => {
+        setUpTest();
+        dir = path.join(makeScratchDir(), '1.2.0+8');
+    });
+    afterEach(tearDownTest);
+
+    it('names the manifest after the platform and build mode', () => {
+        assert.equal(manifestFileName('android', 'Release'), 'release-android.json');
+        assert.equal(manifestFileName('ios', 'Release'), 'release-ios.json');
+        assert.equal(manifestFileName('ios', 'Debug'), 'release-ios-debug.json');
+    });
+
+    it('keeps the Android and iOS manifests of one release side by side', async () => {
+        await buildInto(dir, 'android', 'Release', { 'Acme-Shop-1.2.0-release.aab': 'aab' });
+        await buildInto(dir, 'ios', 'Release', { 'Acme-Shop-1.2.0-release.ipa': 'ipa', 'Acme-Shop-1.2.0-release.xcarchive/Info.plist': 'plist' });
+        assert.deepEqual(findReleaseManifests(dir), ['release-android.json', 'release-ios.json']);
+
+        const android = fs.readJsonSync(path.join(dir, 'release-android.json'));
+        assert.equal(android.platform, 'android');
+        assert.deepEqual(android.artifacts.map(artifact => artifact.file), ['Acme-Shop-1.2.0-release.aab']);
+        const { manifest, results } = await verifyReleaseManifest(path.join(dir, 'release-ios.json'));
+        assert.equal(manifest.platform, 'ios');
+        assert.deepEqual(results.map(result => [result.file, result.problem]), [
+            ['Acme-Shop-1.2.0-release.ipa', null],
+            ['Acme-Shop-1.2.0-release.xcarchive', null]
+        ]);
+
+        const { exitCode, stdout } = await verifyFolder(dir);
+        assert.equal(exitCode, 0);
+        assert.match(stdout, /\(android, Release\) in .*, release-android\.json\n {2}OK {4}Acme-Shop-1\.2\.0-release\.aab\n/);
+        assert.match(stdout, /\(ios, Release\) in .*, release-ios\.json\n/);
+        assert.match(stdout, /All 3 artifact\(s\) match release-android\.json, release-ios\.json\./);
+    });
+
+    it('fails verification when an artifact of either platform changed', async () => {
+        await buildInto(dir, 'android', 'Release', { 'Acme-Shop-1.2.0-release.aab': 'aab' });
+        await buildInto(dir, 'ios', 'Release', { 'Acme-Shop-1.2.0-release.ipa': 'ipa' });
+        fs.writeFileSync(path.join(dir, 'Acme-Shop-1.2.0-release.ipa'), 'changed');
+
+        const { exitCode, stdout, stderr } = await verifyFolder(dir);
+        assert.equal(exitCode, 1);
+        assert.match(stdout, / {2}FAIL {2}Acme-Shop-1\.2\.0-release\.ipa: SHA-256 is /);
+        assert.match(stderr, /1 of 2 artifact\(s\) do not match release-android\.json, release-ios\.json\./);
+    });
+
+    it('still verifies the single release.json of older releases', async () => {
+        const manifestPath = await buildInto(dir, 'android', 'Release', { 'Acme-Shop-1.2.0-release.apk': 'apk' });
+        fs.moveSync(manifestPath, path.join(dir, 'release.json'));
+        assert.deepEqual(findReleaseManifests(dir), ['release.json']);
+
+        const { exitCode, stdout } = await verifyFolder(dir);
+        assert.equal(exitCode, 0);
+        assert.match(stdout, /All 1 artifact\(s\) match release\.json\./);
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { resetJournal, getJournal, replaceInFile, escapeXmlAttribute } = require('../lib/rewrite');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+const gradle = [
+    'android {',
+    '    namespace "com.example.old_app"',
+    '    defaultConfig {',
+    '        applicationId "com.example.old_app"',
+    '        minSdkVersion 21',
+    '    }',
+    '}',
+    ''
+].join('\n');
+
+// Replacements that match the wrong number of times in the file above
+const mismatches = [
+    ['an exact count', { label: 'namespace', pattern: /namespace "[^"]+"/g, replacement: 'namespace "x"', count: 2 }, 'namespace expected 2 matches, found 1.'],
+    ['the default count of 1', { label: 'versionCode', pattern: /versionCode \d+/, replacement: 'versionCode 2' }, 'versionCode expected 1 match, found 0.'],
+    ['"?"', { label: 'old_app', pattern: /com\.example\.old_app/g, replacement: 'com.acme.shop', count: '?' }, 'old_app expected at most 1 match, found 2.'],
+    ['"+"', { label: 'targetSdkVersion', pattern: /targetSdkVersion \d+/g, replacement: 'targetSdkVersion 34', count: '+' }, 'targetSdkVersion expected at least 1 match, found 0.']
+];
+
+describe('replaceInFile', () => {
+    let filePath;
+    const read = () => fs.readFileSync(filePath, 'utf8');
+
+    beforeEach(() => {
+        setUpTest();
+        filePath = path.join(makeScratchDir(), 'build.gradle');
+        fs.writeFileSync(filePath, gradle);
+    });
+    afterEach(tearDownTest);
+
+    it('applies each count mode when the count is right', () => {
+        replaceInFile(filePath, [
+            { label: 'namespace', pattern: /namespace "[^"]+"/, replacement: 'namespace "com.acme.shop"' },
+            { label: 'applicationId', pattern: /applicationId "[^"]+"/g, replacement: 'applicationId "com.acme.shop"', count: '+' },
+            { label: 'package', pattern: /package="[^"]+"/, replacement: 'package="com.acme.shop"', count: '?' },
+            { label: 'minSdkVersion', pattern: /minSdkVersion \d+/g, replacement: 'minSdkVersion 23', count: 1 },
+            { label: 'multiDex', pattern: /multiDexEnabled true\n/g, replacement: '', count: '*' }
+        ]);
+        assert.equal(read(), gradle.replace(/com\.example\.old_app/g, 'com.acme.shop').replace('21', '23'));
+        assert.deepEqual(getJournal().mismatches, []);
+    });
+
+    for (const [name, replacement, message] of mismatches) {
+        it(`throws in strict mode for ${name}`, () => {
+            assert.throws(() => replaceInFile(filePath, [replacement]), (error) => {
+                assert.ok(error.message.startsWith(`Rewrite failed in ${filePath}: ${message}\n  pattern: ${replacement.pattern}`), error.message);
+                return true;
+            });
+            assert.equal(read(), gradle);
+        });
+
+        it(`collects the mismatch in a dry run for ${name}`, () => {
+            resetJournal({ strict: false });
+            replaceInFile(filePath, [
+                replacement,
+                { label: 'minSdkVersion', pattern: /minSdkVersion \d+/, replacement: 'minSdkVersion 23' }
+            ]);
+            const [mismatch, ...rest] = getJournal().mismatches;
+            assert.deepEqual(rest, []);
+            assert.equal(mismatch.filePath, filePath);
+            assert.equal(mismatch.label, replacement.label);
+            assert.equal(mismatch.count, replacement.count === undefined ? 1 : replacement.count);
+            // The other replacements still go through
+            assert.equal(read(), gradle.replace('minSdkVersion 21', 'minSdkVersion 23'));
+        });
+    }
+
+    it('shows the lines around the matches, or around the anchor', () => {
+        assert.throws(() => replaceInFile(filePath, [{ label: 'applicationId', pattern: /applicationId '[^']+'/, replacement: '' }]),
+            /found 0\.\n {2}pattern: .*\n {2}2 \| {5}namespace "com\.example\.old_app"\n {2}3 \| {5}defaultConfig \{\n {2}4 \| {9}applicationId "com\.example\.old_app"\n {2}5 \| {9}minSdkVersion 21\n {2}6 \| {5}\}$/);
+        assert.throws(() => replaceInFile(filePath, [{ label: 'signingConfig', pattern: /signingConfig \w+/, replacement: '' }]),
+            /No line mentions "signingConfig"\.$/);
+    });
+
+    it('takes a function replacement and inserts its result literally', () => {
+        const name = 'Acme $& $1 Shop';
+        replaceInFile(filePath, [
+            { label: 'applicationId', pattern: /(applicationId )"[^"]+"/, replacement: (match, prefix) => `${prefix}"${name}"` }
+        ]);
+        assert.match(read(), /applicationId "Acme \$& \$1 Shop"/);
+    });
+});
+
+describe('escapeXmlAttribute', () => {
+    it('escapes &, < and double quotes', () => {
+        assert.equal(escapeXmlAttribute('Tom & Jerry\'s "<Shop>"'), 'Tom &amp; Jerry\'s &quot;&lt;Shop&gt;&quot;');
+        assert.equal(escapeXmlAttribute('&amp;'), '&amp;amp;');
+        assert.equal(escapeXmlAttribute(42), '42');
+    });
+});
@@ -0,0 +1,106 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { shippableDir, releaseDir, storeArtifacts, readLatestRelease, listReleases, pruneReleases } = require('../lib/shippable');
+const { makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+// Releases are stored in shippable/ of the repo, so the tests use their own
+// bundle id and remove its folder afterwards
+const bundleId = `com.acme.shippabletest${process.pid}`;
+const day = 24 * 60 * 60 * 1000;
+
+describe('lib/shippable.js', () => {
+    let shippableDirExisted;
+    let outputsDir;
+
+    beforeEach(() => {
+        setUpTest();
+        mock.method(console, 'error', () => {});
+        shippableDirExisted = fs.existsSync(shippableDir);
+        outputsDir = makeScratchDir();
+    });
+    afterEach(() => {
+        fs.removeSync(path.join(shippableDir, bundleId));
+        if (!shippableDirExisted) {
+            fs.removeSync(shippableDir);
+        }
+        tearDownTest();
+    });
+
+    // A build output in the scratch folder
+    const output = (name, extension) => {
+        const source = path.join(outputsDir, name);
+        fs.outputFileSync(source, name);
+        return { source, extension };
+    };
+    const store = (versionName, buildNumber, buildMode = 'Release') => storeArtifacts(
+        { bundleId, appName: 'Acme Shop!', versionName, buildNumber, buildMode },
+        [output(`app-${buildMode}.aab`, '.aab')]
+    );
+
+    it('copies the outputs under the release and points latest at it', () => {
+        const missing = path.join(outputsDir, 'app-release.apk');
+        const stored = storeArtifacts(
+            { bundleId, appName: 'Acme Shop!', versionName: '1.2.0', buildNumber: 8, buildMode: 'Release' },
+            [output('app-release.aab', '.aab'), { source: missing, extension: '.apk' }, { ...output('mapping.txt'), fileName: 'mapping.txt' }]
+        );
+        const dir = releaseDir(bundleId, '1.2.0', 8);
+        assert.deepEqual(stored, [path.join(dir, 'Acme-Shop-1.2.0-release.aab'), path.join(dir, 'mapping.txt')]);
+        assert.equal(fs.readFileSync(stored[0], 'utf8'), 'app-release.aab');
+        assert.equal(readLatestRelease(bundleId), '1.2.0+8');
+        assert.equal(console.error.mock.calls[0].arguments[0], `Build output not found: ${missing}`);
+    });
+
+    it('leaves latest at the last Release build when a Debug build is stored', () => {
+        store('1.2.0', 8);
+        const stored = store('1.3.0', 1, 'Debug');
+        assert.deepEqual(stored, [path.join(releaseDir(bundleId, '1.3.0', 1), 'Acme-Shop-1.3.0-debug.aab')]);
+        assert.equal(readLatestRelease(bundleId), '1.2.0+8');
+    });
+
+    it('stores nothing and leaves latest alone when no output was built', () => {
+        assert.deepEqual(storeArtifacts({ bundleId, appName: 'Acme', versionName: '1.0.0', buildNumber: 1, buildMode: 'Release' }, []), []);
+        assert.equal(readLatestRelease(bundleId), null);
+    });
+
+    // Releases stored out of order, each folder last changed `age` days ago
+    const storeAged = (releases) => {
+        for (const [versionName, buildNumber, age] of releases) {
+            store(versionName, buildNumber);
+            const time = new Date(Date.now() - age * day);
+            fs.utimesSync(releaseDir(bundleId, versionName, buildNumber), time, time);
+        }
+    };
+
+    it('lists releases by version and build, not by folder date', () => {
+        storeAged([['1.10.0', 12, 30], ['1.2.0', 9, 1], ['1.9.0', 11, 2], ['1.2.0', 8, 0]]);
+        const releases = listReleases(bundleId);
+        assert.deepEqual(releases.map(release => [release.name, release.latest]), [
+            ['1.10.0+12', false],
+            ['1.9.0+11', false],
+            ['1.2.0+9', false],
+            ['1.2.0+8', true]
+        ]);
+        assert.equal(releases[0].buildNumber, 12);
+        assert.equal(releases[0].size, 'app-Release.aab'.length);
+        assert.deepEqual(listReleases('com.acme.nothing'), []);
+    });
+
+    it('prunes beyond the highest releases and keeps latest', () => {
+        storeAged([['1.10.0', 12, 30], ['1.2.0', 9, 1], ['1.9.0', 11, 2], ['1.2.0', 8, 0]]);
+        const names = (releases) => releases.map(release => release.name);
+        assert.deepEqual(names(pruneReleases(bundleId, { keep: 1, dryRun: true })), ['1.9.0+11', '1.2.0+9']);
+        assert.equal(listReleases(bundleId).length, 4);
+
+        assert.deepEqual(names(pruneReleases(bundleId, { keep: 2 })), ['1.2.0+9']);
+        assert.deepEqual(names(listReleases(bundleId)), ['1.10.0+12', '1.9.0+11', '1.2.0+8']);
+    });
+
+    it('prunes by folder age with --older-than', () => {
+        storeAged([['1.10.0', 12, 30], ['1.2.0', 9, 1], ['1.9.0', 11, 10], ['1.2.0', 8, 40]]);
+        assert.deepEqual(pruneReleases(bundleId, { olderThanDays: 7 }).map(release => release.name), ['1.10.0+12', '1.9.0+11']);
+        assert.deepEqual(listReleases(bundleId).map(release => release.name), ['1.2.0+9', '1.2.0+8']);
+        assert.throws(() => pruneReleases(bundleId), /Give the number of releases to keep or the age to prune from\./);
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { versionsDir, bumpVersion, readLedger, resolveRelease, recordRelease } = require('../lib/versions');
+const { setUpTest, tearDownTest } = require('./helpers');
+
+// The ledger lives in versions/ of the repo, so every test uses its own
+// bundle id and removes its folder afterwards
+const bundleId = `com.acme.versions-test-${process.pid}`;
+const ledgerFile = path.join(versionsDir, bundleId, 'android.json');
+
+describe('bumpVersion', () => {
+    it('raises one part and resets the ones below it', () => {
+        assert.equal(bumpVersion('1.2.3', 'patch'), '1.2.4');
+        assert.equal(bumpVersion('1.2.3', 'minor'), '1.3.0');
+        assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+        assert.equal(bumpVersion('1.2', 'patch'), '1.2.1');
+    });
+});
+
+describe('version ledger', () => {
+    let versionsDirExisted;
+
+    beforeEach(() => {
+        setUpTest();
+        versionsDirExisted = fs.existsSync(versionsDir);
+    });
+    afterEach(() => {
+        fs.removeSync(path.join(versionsDir, bundleId));
+        if (!versionsDirExisted) {
+            fs.removeSync(versionsDir);
+        }
+        tearDownTest();
+    });
+
+    const record = (versionName, buildNumber) => recordRelease(bundleId, 'android', { versionName, buildNumber, flavor: 'acme', artifacts: [`/tmp/app-${buildNumber}.aab`] });
+
+    it('starts a bundle without a ledger at build 1', () => {
+        assert.deepEqual(readLedger(bundleId, 'android'), { bundleId, platform: 'android', releases: [] });
+        assert.deepEqual(resolveRelease(bundleId, 'android', { versionName: '1.0.0' }), { versionName: '1.0.0', buildNumber: 1 });
+        assert.throws(() => resolveRelease(bundleId, 'android', { bump: 'patch' }), /Nothing to bump: no android release of .* is recorded/);
+        assert.throws(() => resolveRelease(bundleId, 'android', {}), /No version given/);
+    });
+
+    it('gives the next build after the last entry and bumps its version', () => {
+        record('1.0.0', 4);
+        record('1.1.0', 5);
+        assert.deepEqual(resolveRelease(bundleId, 'android', { versionName: '1.1.0' }), { versionName: '1.1.0', buildNumber: 6 });
+        assert.deepEqual(resolveRelease(bundleId, 'android', { versionName: '9.9.9', bump: 'minor' }), { versionName: '1.2.0', buildNumber: 6 });
+        assert.deepEqual(resolveRelease(bundleId, 'android', { bump: 'major', buildNumber: '10' }), { versionName: '2.0.0', buildNumber: 10 });
+        assert.throws(() => resolveRelease(bundleId, 'android', { bump: 'huge' }), /Bump must be one of patch, minor, major\./);
+
+        const ledger = fs.readJsonSync(ledgerFile);
+        assert.deepEqual(ledger.releases.map(release => [release.versionName, release.buildNumber, release.artifacts]), [
+            ['1.0.0', 4, ['app-4.aab']],
+            ['1.1.0', 5, ['app-5.aab']]
+        ]);
+    });
+
+    it('refuses a build number that shipped or is below the last one', () => {
+        record('1.0.0', 4);
+        record('1.1.0', 7);
+        assert.throws(() => resolveRelease(bundleId, 'android', { versionName: '1.2.0', buildNumber: 7 }),
+            /Build number 7 of .* \(android\) already shipped as 1\.1\.0 on .*\. Drop version\.code to use 8\./);
+        assert.throws(() => resolveRelease(bundleId, 'android', { versionName: '1.2.0', buildNumber: 5 }),
+            /Build number 5 of .* \(android\) is below 7, the last one shipped\. Drop version\.code to use 8\./);
+        assert.throws(() => record('1.2.0', 7), /Build number 7 of .* \(android\) is not above 7/);
+    });
+
+    it('warns about a version lower than the last release', () => {
+        record('2.0.0', 1);
+        resolveRelease(bundleId, 'android', { versionName: '1.9.0' });
+        assert.match(console.warn.mock.calls[0].arguments[0], /Warning: version 1\.9\.0 is lower than 2\.0\.0/);
+    });
+
+    it('fails clearly on a corrupt ledger', () => {
+        fs.outputFileSync(ledgerFile, '{ "releases": [');
+        assert.throws(() => resolveRelease(bundleId, 'android', { versionName: '1.0.0' }), /^Error: Version ledger .*android\.json is not valid JSON/);
+        fs.outputJsonSync(ledgerFile, { releases: {} });
+        assert.throws(() => resolveRelease(bundleId, 'android', { versionName: '1.0.0' }), /Version ledger .*android\.json has no "releases" list\./);
+    });
+});
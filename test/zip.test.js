@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { readZipEntry, writeZip } = require('../lib/zip');
+const { fixturesDir, makeScratchDir, setUpTest, tearDownTest } = require('./helpers');
+
+// Archives packed by the zip tool, see fixtures/android-manifest/make-fixtures.js
+const fixture = (name) => path.join(fixturesDir, 'android-manifest', name);
+
+describe('readZipEntry', () => {
+    beforeEach(setUpTest);
+    afterEach(tearDownTest);
+
+    it('reads a deflated and a stored entry', () => {
+        const manifest = readZipEntry(fixture('utf8.apk'), 'AndroidManifest.xml');
+        assert.equal(manifest.length, 512);
+        assert.equal(manifest.readUInt16LE(0), 0x0003);
+        assert.equal(readZipEntry(fixture('utf8.apk'), 'res/raw/notes.txt').toString('utf8'), 'stored, not deflated\n');
+    });
+
+    it('returns null for an entry that is not there', () => {
+        assert.equal(readZipEntry(fixture('no-manifest.apk'), 'AndroidManifest.xml'), null);
+        assert.equal(readZipEntry(fixture('app.aab'), 'AndroidManifest.xml'), null);
+    });
+
+    it('refuses a file that is not a ZIP archive', () => {
+        const notZip = path.join(makeScratchDir(), 'app.apk');
+        fs.writeFileSync(notZip, 'not an archive');
+        assert.throws(() => readZipEntry(notZip, 'AndroidManifest.xml'), /app\.apk is not a ZIP file\./);
+    });
+
+    it('reads back what writeZip packed', () => {
+        const zipPath = path.join(makeScratchDir(), 'out', 'symbols.zip');
+        const large = Buffer.from('x'.repeat(100000));
+        writeZip(zipPath, [{ name: 'a/app.android-arm64.symbols', data: large }, { name: 'empty', data: Buffer.alloc(0) }, { name: 'näme.txt', data: Buffer.from('ü') }]);
+        assert.deepEqual(readZipEntry(zipPath, 'a/app.android-arm64.symbols'), large);
+        assert.deepEqual(readZipEntry(zipPath, 'empty'), Buffer.alloc(0));
+        assert.equal(readZipEntry(zipPath, 'näme.txt').toString('utf8'), 'ü');
+        assert.ok(fs.statSync(zipPath).size < 1000, 'the entries are deflated');
+    });
+});